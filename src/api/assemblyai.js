@@ -4,41 +4,103 @@
 
 import { AssemblyAI } from 'assemblyai';
 
-const ASSEMBLYAI_PRICING = { perHour: 0.37 };
+export const ASSEMBLYAI_PRICING = { perHour: 0.37 };
 
 /**
  * Create an AssemblyAI client for transcription
  * @param {string} apiKey - AssemblyAI API key
- * @returns {Object} Client with transcribe method
+ * @param {Object} [options]
+ * @param {Function} [options.onUsage] - Called after each billed transcription with
+ *   { provider, model, kind, audioSeconds, cost, transcriptId }
+ * @returns {Object} Client implementing the transcription provider interface (see providers.js)
  */
-export function createAssemblyAIClient(apiKey) {
+export function createAssemblyAIClient(apiKey, { onUsage } = {}) {
   const client = new AssemblyAI({ apiKey });
 
+  /**
+   * Log and report the cost of a finished transcription
+   */
+  function reportUsage(transcript) {
+    if (!transcript.audio_duration) return;
+    const cost = (transcript.audio_duration / 3600) * ASSEMBLYAI_PRICING.perHour;
+    console.log(`   Transcription: ${Math.round(transcript.audio_duration)}s audio → $${cost.toFixed(4)}`);
+    if (onUsage) {
+      onUsage({
+        provider: 'assemblyai',
+        model: transcript.speech_model || 'default',
+        kind: 'transcription',
+        audioSeconds: transcript.audio_duration,
+        cost,
+        transcriptId: transcript.id,
+      });
+    }
+  }
+
   return {
+    name: 'assemblyai',
+    label: 'AssemblyAI',
+    local: false,
+
+    /**
+     * Estimate the cost of transcribing audio of a given length
+     * @param {number} audioSeconds - Audio duration in seconds
+     * @returns {number} Estimated cost in USD
+     */
+    estimateCost(audioSeconds) {
+      return (audioSeconds / 3600) * ASSEMBLYAI_PRICING.perHour;
+    },
+
     /**
      * Transcribe an audio file with optional speaker diarization
-     * SDK handles upload + polling automatically
+     * SDK handles upload + polling; submission is split from polling so the
+     * transcript ID can be persisted before the (long) wait begins
      * @param {string} filePath - Path to audio file
      * @param {Object} options
      * @param {boolean} options.diarize - Enable speaker diarization
-     * @returns {Object} { text, utterances, audioDuration, id }
+     * @param {Function} [options.onSubmit] - Called with the transcript ID once queued
+     * @param {string} [options.languageCode] - Language of the audio (e.g. "en_us", "de")
+     * @param {boolean} [options.languageDetection] - Detect the language automatically
+     * @param {number} [options.speakersExpected] - Exact number of speakers (diarization hint)
+     * @param {string[]} [options.wordBoost] - Vocabulary to recognize more reliably
+     * @param {string} [options.boostParam] - Word boost weight: low, default, high
+     * @param {Array<{from: string[], to: string}>} [options.customSpelling] - Spelling replacements
+     * @returns {Object} { text, utterances, audioDuration, languageCode, id }
      */
-    async transcribe(filePath, { diarize = true } = {}) {
+    async transcribe(filePath, {
+      diarize = true,
+      onSubmit,
+      languageCode,
+      languageDetection,
+      speakersExpected,
+      wordBoost,
+      boostParam,
+      customSpelling,
+    } = {}) {
       const config = {
         audio: filePath,
         speaker_labels: diarize,
+        ...(languageCode ? { language_code: languageCode } : {}),
+        ...(languageDetection ? { language_detection: true } : {}),
+        ...(speakersExpected ? { speakers_expected: speakersExpected } : {}),
+        ...(wordBoost && wordBoost.length > 0 ? { word_boost: wordBoost } : {}),
+        ...(boostParam ? { boost_param: boostParam } : {}),
+        ...(customSpelling && customSpelling.length > 0 ? { custom_spelling: customSpelling } : {}),
       };
 
       console.log(`Uploading and transcribing: ${filePath}`);
-      console.log(`Speaker diarization: ${diarize ? 'enabled' : 'disabled'}`);
-
-      const transcript = await client.transcripts.transcribe(config);
-
-      if (transcript.audio_duration) {
-        const cost = (transcript.audio_duration / 3600) * ASSEMBLYAI_PRICING.perHour;
-        console.log(`   Transcription: ${Math.round(transcript.audio_duration)}s audio → $${cost.toFixed(4)}`);
+      console.log(`Speaker diarization: ${diarize ? 'enabled' : 'disabled'}${speakersExpected ? ` (${speakersExpected} speakers expected)` : ''}`);
+      if (languageCode || languageDetection) {
+        console.log(`Language: ${languageCode || 'auto-detect'}`);
+      }
+      if (wordBoost && wordBoost.length > 0) {
+        console.log(`Word boost: ${wordBoost.length} term(s)${boostParam ? ` (${boostParam})` : ''}`);
       }
 
+      const queued = await client.transcripts.submit(config);
+      if (onSubmit) onSubmit(queued.id);
+      const transcript = await client.transcripts.waitUntilReady(queued.id);
+      reportUsage(transcript);
+
       if (transcript.status === 'error') {
         throw new Error(`Transcription failed: ${transcript.error}`);
       }
@@ -55,6 +117,7 @@ export function createAssemblyAIClient(apiKey) {
         text: transcript.text,
         utterances,
         audioDuration: transcript.audio_duration,
+        languageCode: transcript.language_code || null,
         id: transcript.id,
       };
     },
@@ -77,10 +140,16 @@ export function createAssemblyAIClient(apiKey) {
     /**
      * Fetch a completed transcript by ID (no re-transcription cost)
      * @param {string} transcriptId - AssemblyAI transcript ID
-     * @returns {Object} { text, utterances, audioDuration, id }
+     * @param {Object} options
+     * @param {boolean} options.wait - Poll until a queued/processing transcript completes.
+     *   Used to finish a submitted transcription, so its cost is reported like transcribe()'s
+     * @returns {Object} { text, utterances, audioDuration, languageCode, id }
      */
-    async getTranscript(transcriptId) {
-      const transcript = await client.transcripts.get(transcriptId);
+    async getTranscript(transcriptId, { wait = false } = {}) {
+      const transcript = wait
+        ? await client.transcripts.waitUntilReady(transcriptId)
+        : await client.transcripts.get(transcriptId);
+      if (wait && transcript.status === 'completed') reportUsage(transcript);
 
       if (transcript.status === 'error') {
         throw new Error(`Transcript retrieval failed: ${transcript.error}`);
@@ -100,6 +169,7 @@ export function createAssemblyAIClient(apiKey) {
         text: transcript.text,
         utterances,
         audioDuration: transcript.audio_duration,
+        languageCode: transcript.language_code || null,
         id: transcript.id,
       };
     },
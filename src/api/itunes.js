@@ -33,12 +33,38 @@ export async function searchPodcasts(query, { limit = 10 } = {}) {
   }));
 }
 
+/**
+ * Look up a podcast by its iTunes collection ID.
+ * @param {number} collectionId - iTunes collection ID
+ * @returns {Promise<{id: number, name: string, artist: string, feedUrl: string|null, episodeCount: number, genre: string}>}
+ */
+export async function lookupPodcast(collectionId) {
+  const url = new URL('/lookup', ITUNES_BASE);
+  url.searchParams.set('id', String(collectionId));
+  url.searchParams.set('entity', 'podcast');
+
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`iTunes API error: ${res.status} ${res.statusText}`);
+  const data = await res.json();
+
+  const r = (data.results || [])[0];
+  if (!r) throw new Error(`No podcast found with ID ${collectionId}`);
+  return {
+    id: r.collectionId,
+    name: r.collectionName,
+    artist: r.artistName,
+    feedUrl: r.feedUrl || null,
+    episodeCount: r.trackCount || 0,
+    genre: r.primaryGenreName || '',
+  };
+}
+
 /**
  * Get episodes for a podcast by its iTunes collection ID.
  * @param {number} collectionId - iTunes collection ID
  * @param {object} [opts]
  * @param {number} [opts.limit=10] - Max episodes
- * @returns {Promise<{show: {id: number, name: string, artist: string}, episodes: Array<{name: string, url: string, date: string, duration: number, description: string}>}>}
+ * @returns {Promise<{show: {id: number, name: string, artist: string, feedUrl: string|null}, episodes: Array<{name: string, url: string, date: string, duration: number, description: string}>}>}
  */
 export async function getEpisodes(collectionId, { limit = 10 } = {}) {
   // Request limit+1 because the first result is show metadata, not an episode
@@ -61,6 +87,7 @@ export async function getEpisodes(collectionId, { limit = 10 } = {}) {
     id: showResult.collectionId,
     name: showResult.collectionName,
     artist: showResult.artistName,
+    feedUrl: showResult.feedUrl || null,
   };
 
   const episodes = results
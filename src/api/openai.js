@@ -1,5 +1,5 @@
 /**
- * OpenAI speaker identification via structured output
+ * OpenAI speaker identification, paragraph breaking and summaries via structured output
  */
 
 import OpenAI from 'openai';
@@ -25,23 +25,122 @@ const ParagraphsSchema = z.object({
   texts: z.array(z.string()).describe('Texts with paragraph breaks inserted'),
 });
 
+const ChapterSchema = z.object({
+  title: z.string().describe('Short chapter title (3-8 words)'),
+  utteranceIndex: z.number().int().describe('Index [n] of the utterance where the chapter starts'),
+});
+
+const SummarySchema = z.object({
+  tldr: z.string().describe('One- to three-sentence summary of the whole transcript'),
+  keyPoints: z.array(z.string()).describe('5-10 key points, one sentence each'),
+  chapters: z.array(ChapterSchema).describe('Chapters in order; the first starts at utterance 0'),
+});
+
+// ============================================================================
+// Models
+// ============================================================================
+
+/** Default model per task — override via createOpenAIClient({ models }) */
+export const DEFAULT_MODELS = {
+  speakerId: 'gpt-5',          // Multi-speaker identification (needs the strongest reasoning)
+  singleSpeaker: 'gpt-5-mini', // Single-speaker identification (short excerpt + metadata)
+  paragraphs: 'gpt-5-nano',    // Paragraph breaking (mechanical, high volume)
+  summary: 'gpt-5-mini',       // TL;DR, key points, chapters (reads the whole transcript)
+};
+
 // ============================================================================
 // Pricing & Usage Logging
 // ============================================================================
 
-const MODEL_PRICING = {
-  'gpt-5':      { input: 1.25, output: 10.00 },
-  'gpt-5-mini': { input: 0.25, output: 2.00 },
-  'gpt-5-nano': { input: 0.05, output: 0.40 },
+/** USD per 1M tokens */
+export const MODEL_PRICING = {
+  'gpt-5':        { input: 1.25, output: 10.00 },
+  'gpt-5-mini':   { input: 0.25, output: 2.00 },
+  'gpt-5-nano':   { input: 0.05, output: 0.40 },
+  'gpt-4.1':      { input: 2.00, output: 8.00 },
+  'gpt-4.1-mini': { input: 0.40, output: 1.60 },
+  'gpt-4.1-nano': { input: 0.10, output: 0.40 },
+  'gpt-4o':       { input: 2.50, output: 10.00 },
+  'gpt-4o-mini':  { input: 0.15, output: 0.60 },
+  'o4-mini':      { input: 1.10, output: 4.40 },
 };
 
-function logUsage(label, model, usage) {
+/**
+ * Check whether a base URL points at this machine (Ollama, vLLM, LM Studio, ...)
+ * @param {string} [baseURL]
+ * @returns {boolean}
+ */
+export function isLocalBaseUrl(baseURL) {
+  if (!baseURL) return false;
+  try {
+    const { hostname } = new URL(baseURL);
+    return ['localhost', '127.0.0.1', '::1', '[::1]', '0.0.0.0'].includes(hostname)
+      || hostname.startsWith('127.')
+      || hostname.endsWith('.local');
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Resolve per-1M-token pricing for a model.
+ * Order: local endpoint (free) → user overrides → exact match → longest
+ * prefix match (dated snapshots like "gpt-5-mini-2025-08-07").
+ * @param {string} model - Model name
+ * @param {Object} options - { local: boolean, overrides: { model: { input, output } } }
+ * @returns {{input: number, output: number}|null} Pricing, or null if unknown
+ */
+export function getModelPricing(model, { local = false, overrides = {} } = {}) {
+  if (local) return { input: 0, output: 0 };
+  if (overrides[model]) return overrides[model];
+  if (MODEL_PRICING[model]) return MODEL_PRICING[model];
+
+  const prefix = Object.keys(MODEL_PRICING)
+    .filter(name => model.startsWith(`${name}-`))
+    .sort((a, b) => b.length - a.length)[0];
+  return prefix ? MODEL_PRICING[prefix] : null;
+}
+
+/**
+ * Dollar cost of a completion's token usage
+ * @returns {number|null} Cost in USD, or null if pricing is unknown
+ */
+function usageCost(usage, pricing) {
+  if (!pricing) return null;
+  return (usage.prompt_tokens * pricing.input + usage.completion_tokens * pricing.output) / 1_000_000;
+}
+
+function logUsage(label, model, usage, pricing) {
   if (!usage) return;
-  const pricing = MODEL_PRICING[model] || {};
-  const cost = (usage.prompt_tokens * (pricing.input || 0) + usage.completion_tokens * (pricing.output || 0)) / 1_000_000;
-  console.log(`   ${label}: ${usage.prompt_tokens} in / ${usage.completion_tokens} out → $${cost.toFixed(4)}`);
+  const tokens = `${usage.prompt_tokens} in / ${usage.completion_tokens} out`;
+  const cost = usageCost(usage, pricing);
+  if (cost == null) {
+    console.log(`   ${label}: ${tokens} → cost unknown (add "${model}" to OPENAI_MODEL_PRICING)`);
+    return;
+  }
+  console.log(`   ${label}: ${tokens} → $${cost.toFixed(4)}`);
 }
 
+// ============================================================================
+// Estimation
+// ============================================================================
+
+// Rough spoken-word density: ~150 words/min at ~1.3 tokens/word
+const TOKENS_PER_AUDIO_MINUTE = 200;
+
+// Speaker ID sends at most ~50 sampled utterances; output includes reasoning tokens
+const SPEAKER_ID_MAX_INPUT_TOKENS = 6000;
+const SPEAKER_ID_OUTPUT_TOKENS = 2000;
+
+// Share of speech assumed to fall in passages long enough to paragraph-break
+const PARAGRAPH_SHARE = 0.5;
+
+// Summary output (TL;DR + key points + chapters) including reasoning tokens
+const SUMMARY_OUTPUT_TOKENS = 3000;
+
+// Transcript text sent for summarization is capped at this many characters
+const SUMMARY_MAX_CHARS = 200_000;
+
 // ============================================================================
 // Sampling
 // ============================================================================
@@ -75,9 +174,9 @@ function sampleUtterances(utterances, maxTotal = 50) {
 // Paragraph Breaking Helper
 // ============================================================================
 
-async function breakOnePassage(client, text) {
+async function breakOnePassage(client, model, text) {
   const completion = await client.beta.chat.completions.parse({
-    model: 'gpt-5-nano',
+    model,
     messages: [
       {
         role: 'system',
@@ -133,13 +232,90 @@ async function breakOnePassage(client, text) {
 
 /**
  * Create an OpenAI client for speaker identification
- * @param {string} apiKey - OpenAI API key
- * @returns {Object} Client with identifySpeakers method
+ * Works with any OpenAI-compatible endpoint via baseURL (Ollama, vLLM, LM Studio).
+ * @param {string} apiKey - OpenAI API key (any placeholder for local endpoints)
+ * @param {Object} [options]
+ * @param {string} [options.baseURL] - API base URL (default: OpenAI)
+ * @param {Object} [options.models] - Per-task model overrides (see DEFAULT_MODELS)
+ * @param {Object} [options.pricing] - Per-1M-token pricing overrides { model: { input, output } }
+ * @param {Function} [options.onUsage] - Called per API call with { provider, model, kind, inputTokens, outputTokens, cost }
+ * @returns {Object} Client with identifySpeakers, breakIntoParagraphs, summarize methods
  */
-export function createOpenAIClient(apiKey) {
-  const client = new OpenAI({ apiKey });
+export function createOpenAIClient(apiKey, { baseURL, models = {}, pricing = {}, onUsage } = {}) {
+  const client = new OpenAI({ apiKey, ...(baseURL ? { baseURL } : {}) });
+  const local = isLocalBaseUrl(baseURL);
+  const taskModels = { ...DEFAULT_MODELS, ...models };
+  const pricingFor = model => getModelPricing(model, { local, overrides: pricing });
+
+  function recordUsage(kind, model, usage) {
+    if (!onUsage || !usage) return;
+    onUsage({
+      provider: local ? 'local' : 'openai',
+      model,
+      kind,
+      inputTokens: usage.prompt_tokens,
+      outputTokens: usage.completion_tokens,
+      cost: usageCost(usage, pricingFor(model)),
+    });
+  }
 
   return {
+    /** True when requests go to an endpoint on this machine */
+    local,
+    models: taskModels,
+
+    /**
+     * Estimate LLM spend for a transcript of a given length, before any audio
+     * is uploaded. Deliberately errs high: assumes a multi-speaker sample for
+     * identification and that half the speech gets paragraph-broken.
+     * @param {number} audioSeconds - Audio duration in seconds
+     * @param {Object} [opts]
+     * @param {boolean} [opts.diarize=true] - Multi-speaker (speakerId model) vs single-speaker
+     * @param {boolean} [opts.summarize=false] - Include the summary/chapters call
+     * @returns {{ cost: number|null, models: string[] }} Cost in USD (null if any model's pricing is unknown)
+     */
+    estimateCost(audioSeconds, { diarize = true, summarize = false } = {}) {
+      const transcriptTokens = (audioSeconds / 60) * TOKENS_PER_AUDIO_MINUTE;
+      const speakerModel = diarize ? taskModels.speakerId : taskModels.singleSpeaker;
+      const calls = [
+        {
+          model: speakerModel,
+          usage: {
+            prompt_tokens: Math.min(transcriptTokens, SPEAKER_ID_MAX_INPUT_TOKENS),
+            completion_tokens: SPEAKER_ID_OUTPUT_TOKENS,
+          },
+        },
+        {
+          model: taskModels.paragraphs,
+          usage: {
+            prompt_tokens: transcriptTokens * PARAGRAPH_SHARE,
+            completion_tokens: transcriptTokens * PARAGRAPH_SHARE * 2,
+          },
+        },
+      ];
+      if (summarize) {
+        calls.push({
+          model: taskModels.summary,
+          usage: {
+            prompt_tokens: Math.min(transcriptTokens, SUMMARY_MAX_CHARS / 4),
+            completion_tokens: SUMMARY_OUTPUT_TOKENS,
+          },
+        });
+      }
+
+      let cost = 0;
+      for (const { model, usage } of calls) {
+        const callCost = usageCost(usage, pricingFor(model));
+        if (callCost == null) {
+          cost = null;
+          break;
+        }
+        cost += callCost;
+      }
+
+      return { cost, models: [...new Set(calls.map(c => c.model))] };
+    },
+
     /**
      * Identify speakers from a diarized transcript
      * @param {Array} utterances - Array of { speaker, text } objects
@@ -153,7 +329,7 @@ export function createOpenAIClient(apiKey) {
 
       const uniqueSpeakers = [...new Set(utterances.map(u => u.speaker))];
       const singleSpeaker = uniqueSpeakers.length === 1;
-      const model = singleSpeaker ? 'gpt-5-mini' : 'gpt-5';
+      const model = singleSpeaker ? taskModels.singleSpeaker : taskModels.speakerId;
 
       // For single speaker, short excerpt + metadata is enough; for multi, sample broadly
       let excerpt;
@@ -189,7 +365,8 @@ export function createOpenAIClient(apiKey) {
         });
 
         const result = completion.choices[0].message.parsed;
-        logUsage(`Speaker ID (${model})`, model, completion.usage);
+        logUsage(`Speaker ID (${model})`, model, completion.usage, pricingFor(model));
+        recordUsage('speaker_id', model, completion.usage);
         return result;
       } catch (error) {
         console.warn(`Speaker identification failed: ${error.message}`);
@@ -207,6 +384,65 @@ export function createOpenAIClient(apiKey) {
       }
     },
 
+    /**
+     * Summarize a transcript into a TL;DR, key points, and chapters.
+     * Utterances are numbered so chapters can point at where they start;
+     * indices are validated against the input before being returned.
+     * @param {Array} utterances - Array of { speaker, text } objects (speaker names, not labels)
+     * @param {string} context - Optional context (title, channel, description)
+     * @returns {Object|null} { tldr, keyPoints, chapters: [{ title, utteranceIndex }] }, or null on failure
+     */
+    async summarize(utterances, context = '') {
+      if (!utterances || utterances.length === 0) return null;
+
+      // Trim each utterance evenly so very long transcripts still fit
+      const totalChars = utterances.reduce((sum, u) => sum + u.text.length, 0);
+      const perUtterance = totalChars > SUMMARY_MAX_CHARS
+        ? Math.max(80, Math.floor(SUMMARY_MAX_CHARS / utterances.length))
+        : Infinity;
+      const numbered = utterances
+        .map((u, i) => `[${i}] ${u.speaker}: ${u.text.length > perUtterance ? `${u.text.slice(0, perUtterance)}…` : u.text}`)
+        .join('\n');
+
+      const model = taskModels.summary;
+      try {
+        console.log('Summarizing transcript...');
+
+        const completion = await client.beta.chat.completions.parse({
+          model,
+          messages: [
+            {
+              role: 'system',
+              content: 'You are a transcript editor. Summarize accurately and only from what is said in the transcript.',
+            },
+            {
+              role: 'user',
+              content: [
+                'Summarize this transcript and divide it into chapters at major topic shifts.',
+                context ? `\nContext: ${context}` : '',
+                '\nEach line is numbered [n]. Start each chapter at the [n] of the utterance where its topic begins; the first chapter starts at 0.',
+                `\nTranscript:\n${numbered}`,
+              ].join(''),
+            },
+          ],
+          response_format: zodResponseFormat(SummarySchema, 'summary'),
+        });
+
+        const result = completion.choices[0].message.parsed;
+        logUsage(`Summary (${model})`, model, completion.usage, pricingFor(model));
+        recordUsage('summary', model, completion.usage);
+
+        const chapters = result.chapters
+          .filter(c => c.utteranceIndex >= 0 && c.utteranceIndex < utterances.length)
+          .sort((a, b) => a.utteranceIndex - b.utteranceIndex)
+          .filter((c, i, all) => i === 0 || c.utteranceIndex !== all[i - 1].utteranceIndex);
+        return { ...result, chapters };
+      } catch (error) {
+        console.warn(`Summarization failed: ${error.message}`);
+        return null;
+      }
+    },
+
     /**
      * Break long utterances into paragraphs for readability.
      * Processes qualifying utterances concurrently via Promise.all.
@@ -226,13 +462,14 @@ export function createOpenAIClient(apiKey) {
 
       const results = await Promise.all(
         longEntries.map(([, u]) =>
-          breakOnePassage(client, u.text).catch(error => {
+          breakOnePassage(client, taskModels.paragraphs, u.text).catch(error => {
             console.warn(`   Paragraph breaking failed for passage: ${error.message}`);
             return { text: null, usage: null };
           })
         )
       );
 
+      const model = taskModels.paragraphs;
       const updated = [...utterances];
       let totalIn = 0, totalOut = 0;
       for (let i = 0; i < longEntries.length; i++) {
@@ -242,11 +479,12 @@ export function createOpenAIClient(apiKey) {
         if (usage) {
           totalIn += usage.prompt_tokens;
           totalOut += usage.completion_tokens;
+          recordUsage('paragraphs', model, usage);
         }
       }
 
-      logUsage(`Paragraphs (${longEntries.length} calls, gpt-5-nano)`, 'gpt-5-nano',
-        { prompt_tokens: totalIn, completion_tokens: totalOut });
+      logUsage(`Paragraphs (${longEntries.length} calls, ${model})`, model,
+        { prompt_tokens: totalIn, completion_tokens: totalOut }, pricingFor(model));
       return updated;
     },
   };
@@ -0,0 +1,69 @@
+/**
+ * Transcription provider registry
+ *
+ * Every provider implements the same interface, so the pipeline never needs
+ * to know which backend produced a transcript:
+ *
+ *   name, label                                  - Stored key / display name
+ *   local                                        - True if audio never leaves this machine
+ *   estimateCost(audioSeconds)                   → USD (0 for local providers)
+ *   transcribe(filePath, { diarize, onSubmit, ...options })
+ *                                                → { text, utterances, audioDuration, languageCode, id }
+ *   getTranscript(transcriptId, { wait })        → { text, utterances, audioDuration, languageCode, id }
+ *   getSentences(transcriptId)                   → [{ text, start, end, speaker }]
+ *
+ * Transcription options (providers ignore what they don't support):
+ *   languageCode, languageDetection, speakersExpected, wordBoost, boostParam, customSpelling
+ *
+ * The publisher provider imports transcripts linked from podcast feeds
+ * (<podcast:transcript>); transcribe() takes the transcript URL instead of a
+ * file and may also return speakerNames ({ label: name }). It is chosen by
+ * the feed workflow, not with --provider.
+ */
+
+import { join } from 'path';
+import { createAssemblyAIClient } from './assemblyai.js';
+import { createWhisperClient } from './whisper.js';
+import { createPublisherClient } from './publisher.js';
+
+export const TRANSCRIPTION_PROVIDERS = ['assemblyai', 'whisper'];
+
+export const DEFAULT_PROVIDER = 'assemblyai';
+
+/**
+ * Create a transcription provider from environment configuration
+ * @param {string} name - Provider name (one of TRANSCRIPTION_PROVIDERS, or 'publisher')
+ * @param {Object} env - Environment variables (process.env)
+ * @param {Object} options
+ * @param {string} options.dataDir - Data directory (local providers store results here)
+ * @param {Function} [options.onUsage] - Usage callback for billed transcriptions
+ * @returns {Object} Provider client
+ */
+export function createTranscriptionProvider(name, env, { dataDir, onUsage }) {
+  if (name === 'assemblyai') {
+    if (!env.ASSEMBLYAI_API_KEY) {
+      throw new Error('ASSEMBLYAI_API_KEY not found in .env file');
+    }
+    return createAssemblyAIClient(env.ASSEMBLYAI_API_KEY, { onUsage });
+  }
+
+  if (name === 'whisper') {
+    if (!env.WHISPER_BASE_URL && !env.WHISPER_BIN) {
+      throw new Error('Set WHISPER_BASE_URL (local endpoint) or WHISPER_BIN (binary) in .env to use the whisper provider');
+    }
+    return createWhisperClient({
+      baseUrl: env.WHISPER_BASE_URL,
+      binary: env.WHISPER_BIN,
+      model: env.WHISPER_MODEL || (env.WHISPER_BASE_URL ? 'whisper-1' : 'base'),
+      apiKey: env.WHISPER_API_KEY,
+      storeDir: join(dataDir, 'whisper'),
+      onUsage,
+    });
+  }
+
+  if (name === 'publisher') {
+    return createPublisherClient({ storeDir: join(dataDir, 'publisher') });
+  }
+
+  throw new Error(`Unknown transcription provider: ${name} (available: ${TRANSCRIPTION_PROVIDERS.join(', ')})`);
+}
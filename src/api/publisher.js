@@ -0,0 +1,283 @@
+/**
+ * Publisher transcript "provider".
+ * Imports transcripts that podcasts publish in their feeds
+ * (Podcasting 2.0 <podcast:transcript>) instead of transcribing the audio.
+ * Supports SRT, WebVTT (with <v Speaker> voice tags) and the Podcast
+ * Namespace JSON format.
+ *
+ * Implements the provider interface (see providers.js) so the rest of the
+ * pipeline — glossary, speaker identification, formatting, storage — runs
+ * unchanged. transcribe() takes the transcript URL in place of an audio file.
+ * Parsed results are kept as JSON under storeDir for getTranscript (reidentify, resume).
+ */
+
+import { join } from 'path';
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
+import { createHash } from 'crypto';
+
+// Cues separated by a pause at least this long start a new utterance
+const UTTERANCE_PAUSE_MS = 1500;
+const UTTERANCE_MAX_CHARS = 1000;
+
+/** Transcript MIME types we can import → short format name, best first (JSON and VTT can carry speaker names) */
+export const PUBLISHER_TRANSCRIPT_FORMATS = {
+  'application/json': 'json',
+  'text/vtt': 'vtt',
+  'application/x-subrip': 'srt',
+  'application/srt': 'srt',
+};
+
+// ============================================================================
+// Parsers
+// ============================================================================
+
+/**
+ * Parse an SRT/VTT cue timestamp ("01:02:03,456", "02:03.456") into milliseconds
+ */
+function parseCueTime(raw) {
+  const match = raw.trim().match(/^(?:(\d+):)?(\d{1,2}):(\d{2})[,.](\d{1,3})$/);
+  if (!match) return null;
+  const [, h = '0', m, s, ms] = match;
+  return ((Number(h) * 60 + Number(m)) * 60 + Number(s)) * 1000 + Number(ms.padEnd(3, '0'));
+}
+
+/**
+ * Parse SRT or WebVTT into cues. Speakers come from VTT voice tags
+ * (<v Name>) or, in files without voice tags, a leading "Name:" on the cue
+ * text. A "Name:" prefix only counts if the same name starts at least two
+ * cues, so one-off text like "Note: ..." isn't mistaken for a speaker.
+ * @param {string} content - Subtitle file contents
+ * @returns {Array} Array of { speaker: string|null, text, start, end } (milliseconds)
+ */
+function parseSubtitles(content) {
+  const raw = [];
+
+  for (const block of content.replace(/\r/g, '').split(/\n{2,}/)) {
+    const lines = block.split('\n').filter(l => l.trim());
+    const timingIndex = lines.findIndex(l => l.includes('-->'));
+    if (timingIndex === -1) continue;
+
+    const [rawStart, rawEnd] = lines[timingIndex].split('-->');
+    const start = parseCueTime(rawStart);
+    const end = parseCueTime(rawEnd.trim().split(/\s+/)[0]);
+    if (start == null || end == null) continue;
+
+    const text = lines.slice(timingIndex + 1).join(' ');
+    const voice = text.match(/<v(?:\.[\w.-]+)?\s+([^>]+)>/);
+    const prefix = text.replace(/<[^>]+>/g, '').match(/^([A-Z][\w.'-]*(?: [A-Z][\w.'-]*){0,3}):\s+/);
+    raw.push({ text, start, end, voice: voice ? voice[1].trim() : null, prefix: prefix ? prefix[1] : null });
+  }
+
+  const hasVoices = raw.some(cue => cue.voice);
+  const prefixCounts = new Map();
+  if (!hasVoices) {
+    for (const { prefix } of raw) {
+      if (prefix) prefixCounts.set(prefix, (prefixCounts.get(prefix) || 0) + 1);
+    }
+  }
+
+  const cues = [];
+  let lastSpeaker = null;
+  for (const cue of raw) {
+    let text = cue.text.replace(/<[^>]+>/g, '');
+    let speaker = cue.voice;
+    if (!hasVoices && cue.prefix && prefixCounts.get(cue.prefix) >= 2) {
+      speaker = cue.prefix;
+      text = text.replace(/^[^:]+:\s+/, '');
+    }
+
+    text = text.replace(/\s+/g, ' ').trim();
+    if (!text) continue;
+
+    // Cues that continue the previous speaker's sentence often omit the name
+    if (speaker) lastSpeaker = speaker;
+    cues.push({ speaker: speaker || lastSpeaker, text, start: cue.start, end: cue.end });
+  }
+
+  return cues;
+}
+
+/**
+ * Parse the Podcast Namespace JSON transcript format
+ * ({ segments: [{ speaker, startTime, endTime, body }] }, times in seconds)
+ * @param {Object} data - Parsed JSON
+ * @returns {Array} Array of { speaker: string|null, text, start, end } (milliseconds)
+ */
+function parseJsonTranscript(data) {
+  return (data.segments || [])
+    .filter(seg => seg.body && seg.body.trim())
+    .map(seg => ({
+      speaker: seg.speaker || null,
+      text: seg.body.trim(),
+      start: Math.round(Number(seg.startTime || 0) * 1000),
+      end: Math.round(Number(seg.endTime || seg.startTime || 0) * 1000),
+    }));
+}
+
+/**
+ * Replace publisher speaker names with labels (A, B, ...) so speaker
+ * identification works the same as for diarized audio
+ * @param {Array} cues - Array of { speaker, text, start, end }
+ * @returns {{ cues: Array, speakerNames: Object }} Labeled cues; speakerNames maps label → publisher name
+ */
+function labelSpeakers(cues) {
+  const labels = new Map();
+  const labeled = cues.map(cue => {
+    const key = cue.speaker || '';
+    if (!labels.has(key)) labels.set(key, String.fromCharCode(65 + labels.size));
+    return { ...cue, speaker: labels.get(key) };
+  });
+
+  const speakerNames = {};
+  for (const [name, label] of labels) {
+    if (name) speakerNames[label] = name;
+  }
+  return { cues: labeled, speakerNames };
+}
+
+/**
+ * Merge labeled cues into utterances: a new utterance starts when the
+ * speaker changes, after a long pause, or once the current one gets long
+ * @param {Array} cues - Labeled cues from labelSpeakers
+ * @returns {Array} Array of { speaker, text, start, end }
+ */
+function cuesToUtterances(cues) {
+  const utterances = [];
+  let current = null;
+  for (const { speaker, text, start, end } of cues) {
+    const pause = current ? start - current.end : 0;
+    if (current && (speaker !== current.speaker || pause >= UTTERANCE_PAUSE_MS || current.text.length >= UTTERANCE_MAX_CHARS)) {
+      utterances.push(current);
+      current = null;
+    }
+    if (!current) {
+      current = { speaker, text, start, end };
+    } else {
+      current.text += ` ${text}`;
+      current.end = end;
+    }
+  }
+  if (current) utterances.push(current);
+  return utterances;
+}
+
+/**
+ * Parse a publisher transcript, detecting the format from its contents
+ * @param {string} content - Raw transcript file
+ * @returns {Array} Cues as { speaker, text, start, end }
+ */
+export function parsePublisherTranscript(content) {
+  const trimmed = content.trim();
+  if (trimmed.startsWith('{')) {
+    return parseJsonTranscript(JSON.parse(trimmed));
+  }
+  if (trimmed.includes('-->')) {
+    return parseSubtitles(trimmed);
+  }
+  throw new Error('Unsupported publisher transcript format (expected SRT, WebVTT or JSON)');
+}
+
+// ============================================================================
+// Client
+// ============================================================================
+
+/**
+ * Create a publisher transcript client
+ * @param {Object} config
+ * @param {string} config.storeDir - Directory for saved transcript results
+ * @returns {Object} Client with transcribe, getTranscript, getSentences methods
+ */
+export function createPublisherClient({ storeDir }) {
+  const resultPath = id => join(storeDir, `${id}.json`);
+
+  function load(transcriptId) {
+    const path = resultPath(transcriptId);
+    if (!existsSync(path)) {
+      throw new Error(`Publisher transcript ${transcriptId} not found in ${storeDir}`);
+    }
+    return JSON.parse(readFileSync(path, 'utf-8'));
+  }
+
+  function toResult(result) {
+    const { cues, speakerNames } = labelSpeakers(result.cues);
+    return {
+      text: cues.map(c => c.text).join(' '),
+      utterances: cuesToUtterances(cues),
+      speakerNames,
+      audioDuration: result.audioDuration,
+      languageCode: result.language ?? null,
+      id: result.id,
+    };
+  }
+
+  return {
+    name: 'publisher',
+    label: 'publisher transcript',
+    // Nothing is uploaded, but the episode is public anyway — no privacy note needed
+    local: false,
+
+    /**
+     * Importing a published transcript is free
+     * @param {number} audioSeconds - Audio duration in seconds
+     * @returns {number} Estimated cost in USD
+     */
+    estimateCost(audioSeconds) {
+      return 0;
+    },
+
+    /**
+     * Download and parse a transcript the publisher links from its feed
+     * @param {string} transcriptUrl - <podcast:transcript> URL
+     * @param {Object} options
+     * @param {Function} [options.onSubmit] - Called with the transcript ID once the result is stored
+     * @param {string} [options.languageCode] - Language from the feed tag
+     * @returns {Object} { text, utterances, speakerNames, audioDuration, languageCode, id }
+     */
+    async transcribe(transcriptUrl, { onSubmit, languageCode } = {}) {
+      // Same URL → same ID, so re-importing replaces rather than duplicates
+      const id = `publisher-${createHash('sha256').update(transcriptUrl).digest('hex').slice(0, 12)}`;
+
+      console.log(`Importing: ${transcriptUrl}`);
+      const res = await fetch(transcriptUrl, { headers: { 'User-Agent': 'transcription-tool/1.0' } });
+      if (!res.ok) {
+        throw new Error(`Publisher transcript fetch failed: ${res.status} ${res.statusText}`);
+      }
+      const cues = parsePublisherTranscript(await res.text());
+      if (cues.length === 0) {
+        throw new Error('Publisher transcript is empty');
+      }
+
+      const result = {
+        id,
+        url: transcriptUrl,
+        cues,
+        audioDuration: cues[cues.length - 1].end / 1000,
+        language: languageCode || null,
+      };
+      mkdirSync(storeDir, { recursive: true });
+      writeFileSync(resultPath(id), JSON.stringify(result), 'utf-8');
+      if (onSubmit) onSubmit(id);
+      console.log(`   ${cues.length} cue(s), ${Math.round(result.audioDuration)}s → $0.0000 (published by the show)`);
+
+      return toResult(result);
+    },
+
+    /**
+     * Sentence-level segmentation — publisher cues serve as sentences
+     * @param {string} transcriptId - Publisher transcript ID
+     * @returns {Array} Array of { text, start, end, speaker } objects
+     */
+    async getSentences(transcriptId) {
+      return labelSpeakers(load(transcriptId).cues).cues;
+    },
+
+    /**
+     * Load a previously imported transcript by ID
+     * @param {string} transcriptId - Publisher transcript ID
+     * @returns {Object} { text, utterances, speakerNames, audioDuration, languageCode, id }
+     */
+    async getTranscript(transcriptId) {
+      return toResult(load(transcriptId));
+    },
+  };
+}
@@ -1,15 +1,49 @@
 /**
- * RSS feed parser for podcast episodes.
+ * RSS and Atom feed parser for podcast episodes.
  * Uses native fetch + fast-xml-parser — no other dependencies.
  */
 
 import { XMLParser } from 'fast-xml-parser';
 
+// Tag values stay strings — numeric-looking GUIDs ("0042") and titles must not be coerced
 const parser = new XMLParser({
   ignoreAttributes: false,
   attributeNamePrefix: '@_',
+  parseTagValue: false,
 });
 
+/**
+ * Wrap a parsed element that may occur once or many times in an array.
+ * @param {*} value
+ * @returns {Array}
+ */
+function asArray(value) {
+  if (value == null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Text content of a parsed element — a plain string, or an element with
+ * attributes (e.g. <title type="html">, <guid isPermaLink="false">).
+ * @param {*} value
+ * @returns {string}
+ */
+function textOf(value) {
+  if (value == null) return '';
+  if (typeof value === 'object') return textOf(value['#text']);
+  return String(value).trim();
+}
+
+/**
+ * Parse an episode/season number (<itunes:episode>, <podcast:season>, ...).
+ * @param {*} value
+ * @returns {number|null}
+ */
+function parseNumber(value) {
+  const num = Number.parseInt(textOf(value), 10);
+  return Number.isFinite(num) ? num : null;
+}
+
 /**
  * Parse an RSS duration value into minutes.
  * Handles: seconds as integer, "MM:SS", "HH:MM:SS"
@@ -21,8 +55,8 @@ function parseDuration(raw) {
   const str = String(raw).trim();
   if (!str) return null;
 
-  // Pure integer — treat as seconds
-  if (/^\d+$/.test(str)) return Math.round(Number(str) / 60);
+  // Plain number — treat as seconds
+  if (/^\d+(\.\d+)?$/.test(str)) return Math.round(Number(str) / 60);
 
   // HH:MM:SS or MM:SS
   const parts = str.split(':').map(Number);
@@ -40,7 +74,7 @@ function parseDuration(raw) {
 }
 
 /**
- * Normalize RFC 2822 date to YYYY-MM-DD.
+ * Normalize an RFC 2822 (RSS) or ISO 8601 (Atom) date to YYYY-MM-DD.
  * @param {string} raw
  * @returns {string}
  */
@@ -54,48 +88,213 @@ function formatPubDate(raw) {
 }
 
 /**
- * Fetch and parse an RSS feed URL.
- * @param {string} feedUrl - RSS feed URL
- * @param {object} [opts]
- * @param {number} [opts.limit=20] - Max episodes to return
- * @returns {Promise<{show: {name: string, author: string}, episodes: Array<{name: string, url: string, date: string, duration: number|null, description: string}>}>}
+ * Read Podcasting 2.0 <podcast:transcript> tags from an item.
+ * @param {object} item - Parsed <item>
+ * @returns {Array<{url: string, type: string, language: string|null, rel: string|null}>}
  */
-export async function fetchFeed(feedUrl, { limit = 20 } = {}) {
-  const res = await fetch(feedUrl, {
-    headers: { 'User-Agent': 'transcription-tool/1.0' },
-  });
-  if (!res.ok) throw new Error(`RSS fetch failed: ${res.status} ${res.statusText}`);
+function parseTranscripts(item) {
+  return asArray(item['podcast:transcript'])
+    .filter(tag => tag['@_url'])
+    .map(tag => ({
+      url: tag['@_url'],
+      type: (tag['@_type'] || '').toLowerCase(),
+      language: tag['@_language'] || null,
+      rel: tag['@_rel'] || null,
+    }));
+}
 
-  const xml = await res.text();
-  const parsed = parser.parse(xml);
+/**
+ * Collect media renditions of an item: <enclosure> (RSS), <link rel="enclosure">
+ * (Atom), and <media:content>, either directly or inside <media:group>.
+ * @param {object} item - Parsed <item> or <entry>
+ * @returns {Array<{url: string, type: string, medium: string, duration: string|null, isDefault: boolean}>}
+ */
+function collectMedia(item) {
+  const media = [];
+  const add = (url, attrs) => {
+    if (!url) return;
+    media.push({
+      url,
+      type: (attrs['@_type'] || '').toLowerCase(),
+      medium: (attrs['@_medium'] || '').toLowerCase(),
+      duration: attrs['@_duration'] || null,
+      isDefault: attrs['@_isDefault'] === 'true',
+    });
+  };
+
+  for (const enc of asArray(item.enclosure)) add(enc['@_url'], enc);
+  for (const link of asArray(item.link)) {
+    if (typeof link === 'object' && link['@_rel'] === 'enclosure') add(link['@_href'], link);
+  }
+  const groups = [item, ...asArray(item['media:group'])];
+  for (const group of groups) {
+    for (const content of asArray(group['media:content'])) add(content['@_url'], content);
+  }
+  return media;
+}
+
+/**
+ * Pick the audio rendition: audio MIME type or medium="audio" (preferring
+ * isDefault), otherwise a video or untyped one (video podcasts, sloppy feeds).
+ * @param {Array} media - From collectMedia
+ * @returns {object|null}
+ */
+function pickAudio(media) {
+  const audio = media.filter(m => m.type.startsWith('audio/') || m.medium === 'audio');
+  if (audio.length > 0) return audio.find(m => m.isDefault) || audio[0];
+  return media.find(m => m.type.startsWith('video/') || m.medium === 'video' || (!m.type && !m.medium)) || null;
+}
 
-  const channel = parsed?.rss?.channel;
-  if (!channel) throw new Error('Invalid RSS feed: no <channel> found');
+/**
+ * Episode artwork: <itunes:image href>, <media:thumbnail>, or an image rendition.
+ * @param {object} item - Parsed <item> or <entry>
+ * @returns {string|null}
+ */
+function parseImage(item) {
+  const itunes = asArray(item['itunes:image'])[0];
+  if (itunes?.['@_href']) return itunes['@_href'];
+
+  for (const group of [item, ...asArray(item['media:group'])]) {
+    const thumb = asArray(group['media:thumbnail'])[0];
+    if (thumb?.['@_url']) return thumb['@_url'];
+  }
+  const image = collectMedia(item).find(m => m.type.startsWith('image/') || m.medium === 'image');
+  return image ? image.url : null;
+}
 
+/**
+ * Fields shared by RSS items and Atom entries.
+ * @param {object} item - Parsed <item> or <entry>
+ * @returns {{url: string, duration: number|null, episode: number|null, season: number|null, image: string|null, transcripts: Array}}
+ */
+function parseCommonFields(item) {
+  const audio = pickAudio(collectMedia(item));
+  return {
+    url: audio ? audio.url : '',
+    duration: parseDuration(textOf(item['itunes:duration']) || audio?.duration),
+    episode: parseNumber(item['itunes:episode'] ?? item['podcast:episode']),
+    season: parseNumber(item['itunes:season'] ?? item['podcast:season']),
+    image: parseImage(item),
+    transcripts: parseTranscripts(item),
+  };
+}
+
+/**
+ * Parse an RSS 2.0 <channel>.
+ * @param {object} channel - Parsed <channel>
+ * @param {number} limit - Max episodes to return
+ */
+function parseRss(channel, limit) {
   const show = {
-    name: channel.title || 'Unknown',
-    author: channel['itunes:author'] || channel.author || '',
+    name: textOf(channel.title) || 'Unknown',
+    author: textOf(channel['itunes:author']) || textOf(channel.author) || '',
+    image: asArray(channel['itunes:image'])[0]?.['@_href'] || textOf(channel.image?.url) || null,
   };
 
-  const rawItems = Array.isArray(channel.item) ? channel.item : channel.item ? [channel.item] : [];
+  const episodes = asArray(channel.item).slice(0, limit).map((item) => {
+    const common = parseCommonFields(item);
+    return {
+      name: textOf(item.title),
+      guid: textOf(item.guid) || common.url || null,
+      date: formatPubDate(textOf(item.pubDate)),
+      description: textOf(item['itunes:summary']) || textOf(item.description) || '',
+      ...common,
+      image: common.image || show.image,
+    };
+  });
+
+  return { show, episodes };
+}
 
-  const episodes = rawItems.slice(0, limit).map((item) => {
-    // Audio URL from <enclosure> (standard) or <media:content>
-    let url = '';
-    if (item.enclosure) {
-      url = item.enclosure['@_url'] || '';
-    } else if (item['media:content']) {
-      url = item['media:content']['@_url'] || '';
-    }
+/**
+ * Parse an Atom <feed>.
+ * @param {object} feed - Parsed <feed>
+ * @param {number} limit - Max episodes to return
+ */
+function parseAtom(feed, limit) {
+  const show = {
+    name: textOf(feed.title) || 'Unknown',
+    author: textOf(asArray(feed.author)[0]?.name) || textOf(feed['itunes:author']) || '',
+    image: textOf(feed.logo) || textOf(feed.icon) || asArray(feed['itunes:image'])[0]?.['@_href'] || null,
+  };
 
+  const episodes = asArray(feed.entry).slice(0, limit).map((entry) => {
+    const common = parseCommonFields(entry);
+    const group = asArray(entry['media:group'])[0] || {};
+    // No enclosure (e.g. YouTube channel feeds) — the page link is still downloadable with yt-dlp
+    if (!common.url) {
+      const alternate = asArray(entry.link).find(l => typeof l === 'object' && (l['@_rel'] || 'alternate') === 'alternate');
+      common.url = alternate?.['@_href'] || '';
+    }
     return {
-      name: item.title || '',
-      url,
-      date: formatPubDate(item.pubDate),
-      duration: parseDuration(item['itunes:duration']),
-      description: item['itunes:summary'] || item.description || '',
+      name: textOf(entry.title),
+      guid: textOf(entry.id) || common.url || null,
+      date: formatPubDate(textOf(entry.published) || textOf(entry.updated)),
+      description: textOf(entry.summary) || textOf(entry.content) || textOf(group['media:description']) || '',
+      ...common,
+      image: common.image || show.image,
     };
   });
 
   return { show, episodes };
 }
+
+/**
+ * Parse RSS 2.0 or Atom feed XML.
+ * @param {string} xml - Feed document
+ * @param {object} [opts]
+ * @param {number} [opts.limit=20] - Max episodes to return
+ * @returns {{show: {name: string, author: string, image: string|null}, episodes: Array<{name: string, url: string, guid: string|null, date: string, duration: number|null, description: string, episode: number|null, season: number|null, image: string|null, transcripts: Array}>}}
+ */
+export function parseFeed(xml, { limit = 20 } = {}) {
+  const parsed = parser.parse(xml);
+
+  if (parsed?.rss?.channel) return parseRss(parsed.rss.channel, limit);
+  if (parsed?.feed) return parseAtom(parsed.feed, limit);
+  throw new Error('Invalid feed: no RSS <channel> or Atom <feed> found');
+}
+
+/**
+ * Fetch and parse an RSS or Atom feed URL.
+ *
+ * Pass the etag/lastModified from a previous fetch to make a conditional
+ * request: an unchanged feed answers 304 and nothing is downloaded or parsed.
+ *
+ * @param {string} feedUrl - Feed URL
+ * @param {object} [opts]
+ * @param {number} [opts.limit=20] - Max episodes to return
+ * @param {{username: string, password: string}} [opts.auth] - HTTP Basic credentials
+ * @param {Object<string, string>} [opts.headers] - Extra request headers (e.g. header-based auth)
+ * @param {string} [opts.etag] - ETag from the last fetch (If-None-Match)
+ * @param {string} [opts.lastModified] - Last-Modified from the last fetch (If-Modified-Since)
+ * @returns {Promise<{show: object|null, episodes: Array, notModified: boolean, etag: string|null, lastModified: string|null}>}
+ *   See parseFeed for show/episodes; notModified feeds return show null and no episodes
+ */
+export async function fetchFeed(feedUrl, { limit = 20, auth, headers = {}, etag, lastModified } = {}) {
+  const requestHeaders = { 'User-Agent': 'transcription-tool/1.0', ...headers };
+  if (auth) {
+    requestHeaders.Authorization = `Basic ${Buffer.from(`${auth.username}:${auth.password}`).toString('base64')}`;
+  }
+  if (etag) requestHeaders['If-None-Match'] = etag;
+  if (lastModified) requestHeaders['If-Modified-Since'] = lastModified;
+
+  const res = await fetch(feedUrl, { headers: requestHeaders });
+  const validators = {
+    etag: res.headers.get('etag') || etag || null,
+    lastModified: res.headers.get('last-modified') || lastModified || null,
+  };
+
+  if (res.status === 304) {
+    return { show: null, episodes: [], notModified: true, ...validators };
+  }
+  if (res.status === 429) {
+    const retryAfter = res.headers.get('retry-after');
+    throw new Error(`RSS fetch rate-limited (429)${retryAfter ? ` — retry after ${retryAfter}${/^\d+$/.test(retryAfter) ? 's' : ''}` : ''}`);
+  }
+  if (res.status === 401 || res.status === 403) {
+    throw new Error(`RSS fetch failed: ${res.status} ${res.statusText} — check the feed's credentials (feed add <name> <url> --user/--header)`);
+  }
+  if (!res.ok) throw new Error(`RSS fetch failed: ${res.status} ${res.statusText}`);
+
+  return { ...parseFeed(await res.text(), { limit }), notModified: false, ...validators };
+}
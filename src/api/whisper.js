@@ -0,0 +1,274 @@
+/**
+ * Local Whisper transcription client.
+ * Runs entirely on this machine — either against an OpenAI-compatible
+ * /audio/transcriptions endpoint on localhost (faster-whisper-server, LocalAI,
+ * whisper.cpp server) or by invoking a whisper binary directly.
+ *
+ * Whisper has no server-side transcript store, so results are kept as JSON
+ * under storeDir to support getTranscript/getSentences (reidentify, resume).
+ */
+
+import { execFile } from 'child_process';
+import { tmpdir } from 'os';
+import { join, basename } from 'path';
+import { existsSync, mkdirSync, readFileSync, writeFileSync, rmSync, mkdtempSync } from 'fs';
+import { randomBytes } from 'crypto';
+
+// Segments separated by a pause at least this long start a new utterance
+const UTTERANCE_PAUSE_MS = 1500;
+const UTTERANCE_MAX_CHARS = 1000;
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+/**
+ * Run a command and resolve with stdout
+ */
+function run(command, args, { timeout = 0 } = {}) {
+  return new Promise((resolve, reject) => {
+    execFile(command, args, { timeout, maxBuffer: 50 * 1024 * 1024 }, (error, stdout) => {
+      if (error) {
+        reject(new Error(`${basename(command)} failed: ${error.message}`));
+        return;
+      }
+      resolve(stdout);
+    });
+  });
+}
+
+/**
+ * Merge whisper segments into speaker-less utterances, breaking at long
+ * pauses so the output reads like paragraphs rather than one line per segment.
+ * @param {Array} segments - Array of { text, start, end } (milliseconds)
+ * @returns {Array} Array of { speaker, text, start, end }
+ */
+function segmentsToUtterances(segments) {
+  const utterances = [];
+  let current = null;
+
+  for (const seg of segments) {
+    const pause = current ? seg.start - current.end : 0;
+    if (current && (pause >= UTTERANCE_PAUSE_MS || current.text.length >= UTTERANCE_MAX_CHARS)) {
+      utterances.push(current);
+      current = null;
+    }
+    if (!current) {
+      current = { speaker: 'A', text: seg.text, start: seg.start, end: seg.end };
+    } else {
+      current.text += ` ${seg.text}`;
+      current.end = seg.end;
+    }
+  }
+  if (current) utterances.push(current);
+
+  return utterances;
+}
+
+/**
+ * Transcribe via an OpenAI-compatible /audio/transcriptions endpoint
+ * @returns {{ segments: Array, duration: number|null }} Segments as { text, start, end } in milliseconds, duration in seconds
+ */
+async function transcribeViaEndpoint(filePath, { baseUrl, model, apiKey, language, prompt }) {
+  const form = new FormData();
+  form.append('file', new Blob([readFileSync(filePath)]), basename(filePath));
+  form.append('model', model);
+  form.append('response_format', 'verbose_json');
+  form.append('timestamp_granularities[]', 'segment');
+  if (language) form.append('language', language);
+  if (prompt) form.append('prompt', prompt);
+
+  const res = await fetch(`${baseUrl.replace(/\/$/, '')}/audio/transcriptions`, {
+    method: 'POST',
+    headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+    body: form,
+  });
+  if (!res.ok) {
+    throw new Error(`Whisper endpoint error: ${res.status} ${res.statusText}`);
+  }
+
+  const data = await res.json();
+  const segments = data.segments || [{ text: data.text || '', start: 0, end: data.duration || 0 }];
+  return {
+    segments: segments.map(s => ({
+      text: s.text.trim(),
+      start: Math.round(s.start * 1000),
+      end: Math.round(s.end * 1000),
+    })),
+    duration: data.duration ?? null,
+  };
+}
+
+/**
+ * Transcribe by invoking a local binary.
+ * whisper.cpp (whisper-cli / main) needs 16 kHz mono WAV and a ggml model path;
+ * openai-whisper-style CLIs (whisper, whisper-ctranslate2 for faster-whisper)
+ * take any format and a model name.
+ * @returns {{ segments: Array, duration: null }} Segments as { text, start, end } in milliseconds
+ */
+async function transcribeViaBinary(filePath, { binary, model, language, detectLanguage, prompt }) {
+  const workDir = mkdtempSync(join(tmpdir(), 'whisper-'));
+  const isWhisperCpp = /whisper-cli|^main$/.test(basename(binary));
+
+  try {
+    if (isWhisperCpp) {
+      const wavPath = join(workDir, 'audio.wav');
+      await run('ffmpeg', ['-i', filePath, '-ar', '16000', '-ac', '1', '-c:a', 'pcm_s16le', '-y', wavPath]);
+      const outBase = join(workDir, 'out');
+      await run(binary, [
+        '-m', model, '-f', wavPath, '-oj', '-of', outBase,
+        // whisper.cpp assumes English unless told otherwise
+        ...(language || detectLanguage ? ['-l', language || 'auto'] : []),
+        ...(prompt ? ['--prompt', prompt] : []),
+      ]);
+
+      const data = JSON.parse(readFileSync(`${outBase}.json`, 'utf-8'));
+      const segments = (data.transcription || []).map(s => ({
+        text: s.text.trim(),
+        start: s.offsets.from,
+        end: s.offsets.to,
+      }));
+      return { segments, duration: null };
+    }
+
+    await run(binary, [
+      filePath, '--model', model, '--output_format', 'json', '--output_dir', workDir,
+      ...(language ? ['--language', language] : []),
+      ...(prompt ? ['--initial_prompt', prompt] : []),
+    ]);
+    const outPath = join(workDir, `${basename(filePath).replace(/\.[^.]+$/, '')}.json`);
+    const data = JSON.parse(readFileSync(outPath, 'utf-8'));
+    const segments = (data.segments || []).map(s => ({
+      text: s.text.trim(),
+      start: Math.round(s.start * 1000),
+      end: Math.round(s.end * 1000),
+    }));
+    return { segments, duration: null };
+  } finally {
+    rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+// ============================================================================
+// Client
+// ============================================================================
+
+/**
+ * Create a local Whisper transcription client
+ * @param {Object} config
+ * @param {string} [config.baseUrl] - OpenAI-compatible endpoint (e.g. http://localhost:8000/v1)
+ * @param {string} [config.binary] - Path to a whisper binary (used when no baseUrl)
+ * @param {string} [config.model] - Model name (endpoint/CLI) or ggml model path (whisper.cpp)
+ * @param {string} [config.apiKey] - Optional bearer token for the endpoint
+ * @param {string} config.storeDir - Directory for saved transcript results
+ * @param {Function} [config.onUsage] - Called after each transcription (cost is always 0)
+ * @returns {Object} Client with transcribe, getTranscript, getSentences methods
+ */
+export function createWhisperClient({ baseUrl, binary, model, apiKey, storeDir, onUsage }) {
+  const resultPath = id => join(storeDir, `${id}.json`);
+
+  function load(transcriptId) {
+    const path = resultPath(transcriptId);
+    if (!existsSync(path)) {
+      throw new Error(`Whisper transcript ${transcriptId} not found in ${storeDir}`);
+    }
+    return JSON.parse(readFileSync(path, 'utf-8'));
+  }
+
+  return {
+    name: 'whisper',
+    label: 'local Whisper',
+    local: true,
+
+    /**
+     * Estimate the cost of transcribing audio — always free when run locally
+     * @param {number} audioSeconds - Audio duration in seconds
+     * @returns {number} Estimated cost in USD
+     */
+    estimateCost(audioSeconds) {
+      return 0;
+    },
+
+    /**
+     * Transcribe an audio file locally. Whisper does not diarize, so all
+     * speech is attributed to a single speaker "A". Word boost terms are
+     * passed as the initial prompt, which biases Whisper toward them.
+     * @param {string} filePath - Path to audio file
+     * @param {Object} options
+     * @param {boolean} options.diarize - Ignored (logged if requested)
+     * @param {Function} [options.onSubmit] - Called with the transcript ID once the result is stored
+     * @param {string} [options.languageCode] - Language of the audio ("en_us" is sent as "en")
+     * @param {boolean} [options.languageDetection] - Detect the language (whisper.cpp defaults to English)
+     * @param {string[]} [options.wordBoost] - Vocabulary hint (sent as the prompt)
+     * @returns {Object} { text, utterances, audioDuration, languageCode, id }
+     */
+    async transcribe(filePath, { diarize = true, onSubmit, languageCode, languageDetection, wordBoost, ...unsupported } = {}) {
+      const id = `whisper-${randomBytes(6).toString('hex')}`;
+      const language = languageCode ? languageCode.split('_')[0] : null;
+      const prompt = wordBoost && wordBoost.length > 0 ? wordBoost.join(', ') : null;
+
+      console.log(`Transcribing locally: ${filePath}`);
+      console.log(`Backend: ${baseUrl ? baseUrl : binary} (model: ${model})`);
+      if (diarize) {
+        console.log('Speaker diarization: not supported by Whisper — single speaker');
+      }
+      const ignored = ['speakersExpected', 'boostParam', 'customSpelling'].filter(key => unsupported[key]);
+      if (ignored.length > 0) {
+        console.log(`Not supported by Whisper (ignored): ${ignored.join(', ')}`);
+      }
+
+      const { segments, duration } = baseUrl
+        ? await transcribeViaEndpoint(filePath, { baseUrl, model, apiKey, language, prompt })
+        : await transcribeViaBinary(filePath, { binary, model, language, detectLanguage: languageDetection, prompt });
+
+      const result = {
+        id,
+        text: segments.map(s => s.text).join(' '),
+        segments,
+        audioDuration: duration ?? (segments.length > 0 ? segments[segments.length - 1].end / 1000 : 0),
+        language,
+      };
+
+      mkdirSync(storeDir, { recursive: true });
+      writeFileSync(resultPath(id), JSON.stringify(result), 'utf-8');
+      if (onSubmit) onSubmit(id);
+      console.log(`   Transcription: ${Math.round(result.audioDuration)}s audio → $0.0000 (local)`);
+      if (onUsage) {
+        onUsage({ provider: 'whisper', model, kind: 'transcription', audioSeconds: result.audioDuration, cost: 0, transcriptId: id });
+      }
+
+      return {
+        text: result.text,
+        utterances: segmentsToUtterances(segments),
+        audioDuration: result.audioDuration,
+        languageCode: language,
+        id,
+      };
+    },
+
+    /**
+     * Sentence-level segmentation — whisper segments serve as sentences
+     * @param {string} transcriptId - Whisper transcript ID
+     * @returns {Array} Array of { text, start, end, speaker } objects
+     */
+    async getSentences(transcriptId) {
+      return load(transcriptId).segments.map(s => ({ ...s, speaker: 'A' }));
+    },
+
+    /**
+     * Load a previously completed local transcript by ID
+     * @param {string} transcriptId - Whisper transcript ID
+     * @returns {Object} { text, utterances, audioDuration, languageCode, id }
+     */
+    async getTranscript(transcriptId) {
+      const result = load(transcriptId);
+      return {
+        text: result.text,
+        utterances: segmentsToUtterances(result.segments),
+        audioDuration: result.audioDuration,
+        languageCode: result.language ?? null,
+        id: result.id,
+      };
+    },
+  };
+}
@@ -4,7 +4,9 @@
 
 import yargs from 'yargs';
 import { hideBin } from 'yargs/helpers';
-import { validateOutputFormat, SUPPORTED_FORMATS, VALID_OUTPUT_FORMATS } from '../utils/validators.js';
+import { validateOutputFormat, SUPPORTED_FORMATS, VALID_OUTPUT_FORMATS, BOOST_PARAMS } from '../utils/validators.js';
+import { TRANSCRIPTION_PROVIDERS } from '../api/providers.js';
+import { COST_GROUP_BY } from '../utils/storage.js';
 
 export function buildCli(handlers) {
   return yargs(hideBin(process.argv))
@@ -27,6 +29,14 @@ export function buildCli(handlers) {
           console.error(`\n💡 Supported: ${SUPPORTED_FORMATS.join(', ')}`);
         } else if (err.message.includes('ASSEMBLYAI') || err.message.includes('AssemblyAI')) {
           console.error('\n💡 Tip: Check your ASSEMBLYAI_API_KEY in the .env file');
+        } else if (err.message.includes('WHISPER') || err.message.includes('Whisper')) {
+          console.error('\n💡 Tip: Check WHISPER_BASE_URL / WHISPER_BIN / WHISPER_MODEL in the .env file');
+        } else if (err.message.includes('--custom-spelling')) {
+          console.error('\n💡 Tip: Quote each rule, e.g. --custom-spelling "zappier,zapper=Zapier"');
+        } else if (err.message.includes('--start') || err.message.includes('--end')) {
+          console.error('\n💡 Tip: Times look like 5400, 90:00 or 1:30:00');
+        } else if (err.message.includes('--max-cost')) {
+          console.error('\n💡 Tip: Use --estimate to see the breakdown, or raise --max-cost');
         } else if (err.message.includes('OPENAI') || err.message.includes('OpenAI')) {
           console.error('\n💡 Tip: Check your OPENAI_API_KEY in the .env file');
         }
@@ -83,15 +93,169 @@ export function buildCli(handlers) {
             describe: 'Override episode/file title (used for output filename and metadata)',
             type: 'string',
           })
+          .option('provider', {
+            alias: 'p',
+            describe: 'Transcription backend (default: TRANSCRIPTION_PROVIDER env or assemblyai)',
+            type: 'string',
+            choices: TRANSCRIPTION_PROVIDERS,
+          })
+          .option('language', {
+            alias: 'l',
+            describe: 'Language code of the audio (e.g. en_us, de, es)',
+            type: 'string',
+          })
+          .option('detect-language', {
+            describe: 'Detect the spoken language automatically',
+            type: 'boolean',
+            default: false,
+          })
+          .option('speakers-expected', {
+            describe: 'Exact number of speakers (improves diarization)',
+            type: 'number',
+          })
+          .option('word-boost', {
+            describe: 'Words/phrases to recognize more reliably (product names, jargon)',
+            type: 'string',
+            array: true,
+          })
+          .option('boost-param', {
+            describe: 'How strongly to weight --word-boost terms',
+            type: 'string',
+            choices: BOOST_PARAMS,
+          })
+          .option('custom-spelling', {
+            describe: 'Replace misrecognized words: "from=to" or "from1,from2=to"',
+            type: 'string',
+            array: true,
+          })
+          .conflicts('language', 'detect-language')
+          .implies('boost-param', 'word-boost')
+          .option('summarize', {
+            describe: 'Add a TL;DR, key points and timestamped chapters',
+            type: 'boolean',
+            default: false,
+          })
+          .option('estimate', {
+            describe: 'Print the estimated cost and exit without transcribing',
+            type: 'boolean',
+            default: false,
+          })
+          .option('max-cost', {
+            describe: 'Refuse to run if the estimated cost exceeds this many USD',
+            type: 'number',
+          })
+          .option('keep-audio', {
+            describe: 'Keep a copy of the audio in this folder (relative to vault root); path is saved in the database',
+            type: 'string',
+          })
+          .option('start', {
+            describe: 'Only transcribe from this time (seconds, M:SS or H:MM:SS); timestamps still match the source',
+            type: 'string',
+          })
+          .option('end', {
+            describe: 'Only transcribe up to this time (seconds, M:SS or H:MM:SS)',
+            type: 'string',
+          })
+          .option('trim-silence', {
+            describe: 'Cut leading/trailing silence before upload (needs ffmpeg)',
+            type: 'boolean',
+            default: false,
+          })
+          .option('mono', {
+            describe: 'Downmix to mono before upload (needs ffmpeg)',
+            type: 'boolean',
+            default: false,
+          })
+          .option('normalize', {
+            describe: 'Normalize loudness before upload — helps quiet or uneven recordings (needs ffmpeg)',
+            type: 'boolean',
+            default: false,
+          })
+          .option('playlist', {
+            describe: 'Treat the URL as a playlist or channel and transcribe every entry not already in the database',
+            type: 'boolean',
+            default: false,
+          })
+          .option('output-dir', {
+            describe: 'Playlist: save a file per entry in this folder (relative to vault root)',
+            type: 'string',
+          })
+          .option('limit', {
+            alias: 'n',
+            describe: 'Playlist: transcribe at most this many new entries',
+            type: 'number',
+          })
+          .option('since', {
+            describe: 'Playlist: only entries published on/after this date (YYYY-MM-DD)',
+            type: 'string',
+          })
+          .option('concurrency', {
+            describe: 'Playlist: number of entries to transcribe at once',
+            type: 'number',
+            default: 2,
+          })
+          .option('feed', {
+            describe: 'Podcast episode: saved feed name or feed URL to take the episode title, show and description from',
+            type: 'string',
+          })
+          .option('publisher-transcript', {
+            describe: 'With --feed: import the transcript the show publishes instead of transcribing (--no-publisher-transcript to always transcribe)',
+            type: 'boolean',
+            default: true,
+          })
           .example('$0 transcribe recording.mp3', 'Basic transcription with diarization')
           .example('$0 transcribe meeting.m4a -s "Meeting between Nick and Sarah"', 'With speaker context')
           .example('$0 transcribe https://youtube.com/watch?v=xxx', 'Transcribe a YouTube video')
           .example('$0 transcribe call.wav -o "Resources/Meetings/call.md"', 'Custom output path')
-          .example('$0 transcribe lecture.mp3 --no-diarize --format text', 'No diarization, plain text');
+          .example('$0 transcribe lecture.mp3 --no-diarize --format text', 'No diarization, plain text')
+          .example('$0 transcribe clip.mp4 --format vtt -o "Clips/clip.vtt"', 'Subtitles with speaker voice tags')
+          .example('$0 transcribe board-meeting.m4a --provider whisper', 'Transcribe locally (audio never leaves this machine)')
+          .example('$0 transcribe panel.mp3 --speakers-expected 4 --word-boost Zapier Obsidian --boost-param high', 'Panel with known speaker count and product names')
+          .example('$0 transcribe interview.mp3 --language de --custom-spelling "zappier,zapper=Zapier"', 'German audio with a spelling fix')
+          .example('$0 transcribe https://youtube.com/watch?v=xxx --summarize', 'Add summary + chapters sections')
+          .example('$0 transcribe https://youtube.com/watch?v=xxx --estimate', 'Show the estimated cost without running')
+          .example('$0 transcribe https://youtube.com/watch?v=xxx --max-cost 1', 'Refuse if the estimate is over $1')
+          .example('$0 transcribe https://youtube.com/watch?v=xxx -o "Talks/talk.md" --keep-audio "Talks/audio"', 'Keep the audio for clip extraction')
+          .example('$0 transcribe https://youtube.com/watch?v=xxx --start 2:10:00 --end 2:55:00', 'Only the Q&A of a long talk')
+          .example('$0 transcribe zoom-call.m4a --trim-silence --mono --normalize', 'Clean up the audio before upload')
+          .example('$0 transcribe "https://youtube.com/playlist?list=xxx" --playlist --output-dir "Resources/Lectures"', 'Transcribe a whole lecture series')
+          .example('$0 transcribe https://youtube.com/@channel/videos --playlist --since 2026-01-01 -n 10', 'Up to 10 new channel videos from this year')
+          .example('$0 transcribe https://example.com/ep42.mp3 --feed lexfridman', 'Podcast episode — imports the show\'s own transcript if it has one');
       },
       handlers.transcribe
     )
 
+    // ============================================================================
+    // resume command
+    // ============================================================================
+    .command(
+      'resume [job-id]',
+      'Resume an interrupted transcription from its last completed stage',
+      (yargs) => {
+        return yargs
+          .positional('job-id', {
+            describe: 'Job ID (default: most recent incomplete job)',
+            type: 'string',
+          })
+          .option('list', {
+            alias: 'l',
+            describe: 'List incomplete jobs instead of resuming',
+            type: 'boolean',
+            default: false,
+          })
+          .option('limit', {
+            alias: 'n',
+            describe: 'Maximum number of jobs to list',
+            type: 'number',
+            default: 20,
+          })
+          .example('$0 resume', 'Resume the most recent interrupted job')
+          .example('$0 resume --list', 'Show incomplete jobs')
+          .example('$0 resume 3f9a1c2e', 'Resume a specific job');
+      },
+      handlers.resume
+    )
+
     // ============================================================================
     // list command
     // ============================================================================
@@ -128,17 +292,164 @@ export function buildCli(handlers) {
       handlers.list
     )
 
+    // ============================================================================
+    // search command
+    // ============================================================================
+    .command(
+      'search <terms..>',
+      'Full-text search over stored transcript content',
+      (yargs) => {
+        return yargs
+          .positional('terms', {
+            describe: 'Search terms (all must match)',
+            type: 'string',
+            array: true,
+          })
+          .option('limit', {
+            alias: 'n',
+            describe: 'Maximum number of results',
+            type: 'number',
+            default: 20,
+          })
+          .example('$0 search "scaling laws"', 'Find transcripts mentioning scaling laws')
+          .example('$0 search stratechery aggregation -n 5', 'All terms must match');
+      },
+      handlers.search
+    )
+
+    // ============================================================================
+    // costs command
+    // ============================================================================
+    .command(
+      'costs',
+      'Report recorded API spend from the cost ledger',
+      (yargs) => {
+        return yargs
+          .option('by', {
+            alias: 'b',
+            describe: 'Group spend by',
+            type: 'string',
+            default: 'month',
+            choices: COST_GROUP_BY,
+          })
+          .option('since', {
+            describe: 'Only include costs on/after this date (YYYY-MM-DD)',
+            type: 'string',
+          })
+          .option('channel', {
+            alias: 'c',
+            describe: 'Filter by channel name (partial match)',
+            type: 'string',
+          })
+          .example('$0 costs', 'Spend per month')
+          .example('$0 costs --by channel --since 2026-01-01', 'Spend per channel this year')
+          .example('$0 costs --by model', 'Spend per provider/model');
+      },
+      handlers.costs
+    )
+
+    // ============================================================================
+    // speakers command
+    // ============================================================================
+    .command(
+      'speakers [action] [args..]',
+      'List and manage the registry of identified speakers',
+      (yargs) => {
+        return yargs
+          .positional('action', {
+            describe: 'list (default), merge <from> <into>, edit <name>, rm <name>',
+            type: 'string',
+            choices: ['list', 'merge', 'edit', 'rm'],
+          })
+          .positional('args', {
+            describe: 'Speaker name(s) or aliases',
+            type: 'string',
+            array: true,
+          })
+          .option('channel', {
+            alias: 'c',
+            describe: 'List: only speakers seen on this channel (partial match)',
+            type: 'string',
+          })
+          .option('limit', {
+            alias: 'n',
+            describe: 'List: maximum number of speakers',
+            type: 'number',
+            default: 50,
+          })
+          .option('name', {
+            describe: 'Edit: rename the speaker',
+            type: 'string',
+          })
+          .option('alias', {
+            alias: 'a',
+            describe: 'Edit: add alias(es)',
+            type: 'string',
+            array: true,
+          })
+          .option('remove-alias', {
+            describe: 'Edit: remove alias(es)',
+            type: 'string',
+            array: true,
+          })
+          .option('notes', {
+            describe: 'Edit: free-form notes (e.g. role, affiliation)',
+            type: 'string',
+          })
+          .example('$0 speakers', 'All known speakers, most frequent first')
+          .example('$0 speakers -c Dwarkesh', 'Speakers seen on a channel')
+          .example('$0 speakers merge "Dwarkesh" "Dwarkesh Patel"', 'Fold a duplicate into one entry (becomes an alias)')
+          .example('$0 speakers edit "Dwarkesh Patel" -a "DP" --notes "Host"', 'Add an alias and notes')
+          .example('$0 speakers rm "Dwarkesh Pate"', 'Remove a misidentified entry');
+      },
+      handlers.speakers
+    )
+
+    // ============================================================================
+    // glossary command
+    // ============================================================================
+    .command(
+      'glossary [action] [args..]',
+      'Manage per-channel/feed spelling corrections applied after transcription',
+      (yargs) => {
+        return yargs
+          .positional('action', {
+            describe: 'list [scope] (default), add <scope> <heard> <correct>, rm <scope> <heard>, report',
+            type: 'string',
+            choices: ['list', 'add', 'rm', 'report'],
+          })
+          .positional('args', {
+            describe: 'Scope (channel name, saved feed name, or "global") and terms',
+            type: 'string',
+            array: true,
+          })
+          .option('limit', {
+            alias: 'n',
+            describe: 'Report: maximum number of transcripts',
+            type: 'number',
+            default: 20,
+          })
+          .example('$0 glossary add stratechery "Stratekery" "Stratechery"', 'Fix a show name for one feed')
+          .example('$0 glossary add "Dwarkesh Podcast" "Leopold Ashenbrenner" "Leopold Aschenbrenner"', 'Fix a guest name for a channel')
+          .example('$0 glossary add global "open AI" "OpenAI"', 'Apply to every transcript')
+          .example('$0 glossary list stratechery', 'Entries for one scope')
+          .example('$0 glossary report', 'Corrections made per transcript');
+      },
+      handlers.glossary
+    )
+
     // ============================================================================
     // podcast command
     // ============================================================================
     .command(
-      ['podcast <query>', 'pod <query>'],
-      'Search for podcasts by name (via iTunes)',
+      ['podcast <query..>', 'pod <query..>'],
+      'Search for podcasts by name (via iTunes), or subscribe to one by iTunes ID',
       (yargs) => {
         return yargs
           .positional('query', {
-            describe: 'Podcast name to search for',
+            describe: 'Podcast name to search for, or: subscribe <itunes-id> [name]',
             type: 'string',
+            array: true,
           })
           .option('limit', {
             alias: 'n',
@@ -146,8 +457,34 @@ export function buildCli(handlers) {
             type: 'number',
             default: 10,
           })
+          .option('auto', {
+            describe: 'Subscribe: auto-transcribe new episodes on sync (--no-auto to only list them)',
+            type: 'boolean',
+            default: true,
+          })
+          .option('keyword', {
+            alias: 'k',
+            describe: 'Subscribe: only episodes whose title/description contains one of these',
+            type: 'string',
+            array: true,
+          })
+          .option('max-duration', {
+            describe: 'Subscribe: skip episodes longer than this many minutes',
+            type: 'number',
+          })
+          .option('speakers', {
+            alias: 's',
+            describe: 'Subscribe: default speaker hint for identification',
+            type: 'string',
+          })
+          .option('since', {
+            describe: 'Subscribe: only episodes published on/after this date (YYYY-MM-DD, default today)',
+            type: 'string',
+          })
           .example('$0 podcast "lex fridman"', 'Search for a podcast')
-          .example('$0 pod "huberman lab" -n 5', 'Search with limit');
+          .example('$0 pod "huberman lab" -n 5', 'Search with limit')
+          .example('$0 podcast subscribe 1434243584', 'Save the show\'s RSS feed and subscribe to it')
+          .example('$0 podcast subscribe 1434243584 dwarkesh -k AI --no-auto', 'Choose the feed name and subscription rules');
       },
       handlers.podcast
     )
@@ -157,7 +494,7 @@ export function buildCli(handlers) {
     // ============================================================================
     .command(
       ['episodes <id>', 'ep <id>'],
-      'List recent episodes for a podcast by iTunes ID',
+      'List recent episodes for a podcast by iTunes ID (falls back to its RSS feed)',
       (yargs) => {
         return yargs
           .positional('id', {
@@ -185,7 +522,7 @@ export function buildCli(handlers) {
       (yargs) => {
         return yargs
           .positional('query', {
-            describe: 'Source URL, title keyword, or AssemblyAI transcript ID',
+            describe: 'Source URL, title keyword, transcript ID, or original filename / file hash of a local recording',
             type: 'string',
           })
           .option('speakers', {
@@ -204,16 +541,126 @@ export function buildCli(handlers) {
       handlers.reidentify
     )
 
+    // ============================================================================
+    // rename-speaker command
+    // ============================================================================
+    .command(
+      'rename-speaker <query> <speaker> <new-name>',
+      'Rename a speaker in a stored transcript (no API calls)',
+      (yargs) => {
+        return yargs
+          .positional('query', {
+            describe: 'Source URL, title keyword, transcript ID, or original filename / file hash of a local recording',
+            type: 'string',
+          })
+          .positional('speaker', {
+            describe: 'Diarization label (e.g. "B") or current name',
+            type: 'string',
+          })
+          .positional('new-name', {
+            describe: 'Name to use from now on',
+            type: 'string',
+          })
+          .example('$0 rename-speaker "SwN0ozZHZfw" B "Sarah Chen"', 'Name an unidentified speaker')
+          .example('$0 rename-speaker "Philip Lecture" "Phil" "Philip"', 'Fix a wrong name');
+      },
+      handlers.renameSpeaker
+    )
+
+    // ============================================================================
+    // merge-speakers command
+    // ============================================================================
+    .command(
+      'merge-speakers <query> <keep> <merge>',
+      'Merge two diarization labels that are the same person (no API calls)',
+      (yargs) => {
+        return yargs
+          .positional('query', {
+            describe: 'Source URL, title keyword, transcript ID, or original filename / file hash of a local recording',
+            type: 'string',
+          })
+          .positional('keep', {
+            describe: 'Label or name to keep',
+            type: 'string',
+          })
+          .positional('merge', {
+            describe: 'Label or name whose utterances move to <keep>',
+            type: 'string',
+          })
+          .example('$0 merge-speakers "SwN0ozZHZfw" B D', 'Diarization split one person into B and D');
+      },
+      handlers.mergeSpeakers
+    )
+
+    // ============================================================================
+    // export command
+    // ============================================================================
+    .command(
+      'export <query>',
+      'Re-render a stored transcript in another format (no API calls)',
+      (yargs) => {
+        return yargs
+          .positional('query', {
+            describe: 'Source URL, title keyword, transcript ID, or original filename / file hash of a local recording',
+            type: 'string',
+          })
+          .option('format', {
+            alias: 'f',
+            describe: 'Output format',
+            type: 'string',
+            default: 'markdown',
+            choices: VALID_OUTPUT_FORMATS,
+          })
+          .option('output', {
+            alias: 'o',
+            describe: 'Output file path (prints to stdout by default)',
+            type: 'string',
+          })
+          .example('$0 export "SwN0ozZHZfw" -f markdown', 'Print as markdown')
+          .example('$0 export "Philip Lecture" -f srt -o "Clips/lecture.srt"', 'Write subtitles to a file');
+      },
+      handlers.export
+    )
+
+    // ============================================================================
+    // summarize command
+    // ============================================================================
+    .command(
+      'summarize [query]',
+      'Add a TL;DR, key points and chapters to stored transcripts',
+      (yargs) => {
+        return yargs
+          .positional('query', {
+            describe: 'Source URL, title keyword, transcript ID, or original filename / file hash of a local recording',
+            type: 'string',
+          })
+          .option('all', {
+            describe: 'Backfill every transcript that has no summary yet',
+            type: 'boolean',
+            default: false,
+          })
+          .option('limit', {
+            alias: 'n',
+            describe: 'Maximum transcripts to summarize with --all',
+            type: 'number',
+            default: 20,
+          })
+          .example('$0 summarize "SwN0ozZHZfw"', 'Summarize one transcript (regenerates an existing summary)')
+          .example('$0 summarize --all -n 50', 'Backfill summaries for up to 50 transcripts');
+      },
+      handlers.summarize
+    )
+
     // ============================================================================
     // feed command
     // ============================================================================
     .command(
       'feed [source..]',
-      'Fetch RSS feed episodes, or manage saved private feeds',
+      'Fetch RSS or Atom feed episodes, or manage saved private feeds',
       (yargs) => {
         return yargs
           .positional('source', {
-            describe: 'Feed URL, saved name, or subcommand (add/rm/list)',
+            describe: 'Feed URL, saved name, or subcommand (add/rm/list/subscribe/unsubscribe)',
             type: 'string',
             array: true,
           })
@@ -223,12 +670,242 @@ export function buildCli(handlers) {
             type: 'number',
             default: 20,
           })
+          .option('auto', {
+            describe: 'Subscription: auto-transcribe new episodes on sync (--no-auto to only list them)',
+            type: 'boolean',
+            default: true,
+          })
+          .option('keyword', {
+            alias: 'k',
+            describe: 'Subscription: only episodes whose title/description contains one of these',
+            type: 'string',
+            array: true,
+          })
+          .option('max-duration', {
+            describe: 'Subscription: skip episodes longer than this many minutes',
+            type: 'number',
+          })
+          .option('speakers', {
+            alias: 's',
+            describe: 'Add/subscription: default speaker hint for identification',
+            type: 'string',
+          })
+          .option('since', {
+            describe: 'Subscription: only episodes published on/after this date (YYYY-MM-DD, default today)',
+            type: 'string',
+          })
+          .option('tag', {
+            alias: 't',
+            describe: 'Add: tags for the feed (replaces saved tags); list: only feeds with this tag',
+            type: 'string',
+            array: true,
+          })
+          .option('output-dir', {
+            alias: 'o',
+            describe: 'Add: default folder for this feed\'s transcripts (relative to vault root)',
+            type: 'string',
+          })
+          .option('itunes-id', {
+            describe: 'Add: the show\'s iTunes/Apple Podcasts ID',
+            type: 'number',
+          })
+          .option('user', {
+            describe: 'Add: HTTP Basic auth username (with --password)',
+            type: 'string',
+          })
+          .option('password', {
+            describe: 'Add: HTTP Basic auth password',
+            type: 'string',
+          })
+          .option('header', {
+            alias: 'H',
+            describe: 'Add: extra request header "Name: value" (repeatable), e.g. for header-based auth',
+            type: 'string',
+            array: true,
+          })
+          .option('clear-auth', {
+            describe: 'Add: remove saved credentials and headers',
+            type: 'boolean',
+            default: false,
+          })
           .example('$0 feed add stratechery "https://example.com/feed"', 'Save a private feed')
+          .example('$0 feed add premium "https://example.com/feed.xml" --user me --password secret', 'Feed behind HTTP Basic auth')
+          .example('$0 feed add premium "https://example.com/feed.xml" -H "X-Api-Key: abc123"', 'Feed with header-based auth')
           .example('$0 feed stratechery -n 5', 'Browse saved feed episodes')
           .example('$0 feed "https://example.com/feed.xml"', 'Browse feed by URL')
           .example('$0 feed list', 'Show all saved feeds')
-          .example('$0 feed rm stratechery', 'Remove a saved feed');
+          .example('$0 feed add dwarkesh -t ai interviews -o "Resources/Podcasts/Dwarkesh"', 'Tag a saved feed and set its output folder')
+          .example('$0 feed list -t ai', 'Saved feeds tagged "ai"')
+          .example('$0 feed rm stratechery', 'Remove a saved feed')
+          .example('$0 feed subscribe dwarkesh -k AI --max-duration 180 -s "Dwarkesh and guest"', 'Auto-transcribe matching new episodes on sync')
+          .example('$0 feed unsubscribe dwarkesh', 'Stop syncing a feed (keeps it saved)');
       },
       handlers.feed
+    )
+
+    // ============================================================================
+    // sync command
+    // ============================================================================
+    .command(
+      'sync [name]',
+      'Check subscribed feeds and transcribe new matching episodes',
+      (yargs) => {
+        return yargs
+          .positional('name', {
+            describe: 'Only sync this subscription (default: all)',
+            type: 'string',
+          })
+          .option('limit', {
+            alias: 'n',
+            describe: 'Number of recent episodes to check per feed',
+            type: 'number',
+            default: 20,
+          })
+          .option('format', {
+            alias: 'f',
+            describe: 'Output format',
+            type: 'string',
+            default: 'markdown',
+            choices: VALID_OUTPUT_FORMATS,
+          })
+          .option('output-dir', {
+            alias: 'o',
+            describe: 'Save a file per episode in this folder (relative to vault root; default: the feed\'s output folder)',
+            type: 'string',
+          })
+          .option('dry-run', {
+            describe: 'List new matching episodes without transcribing',
+            type: 'boolean',
+            default: false,
+          })
+          .option('max-cost', {
+            describe: 'Skip episodes whose estimated cost exceeds this many USD',
+            type: 'number',
+          })
+          .option('keep-audio', {
+            describe: 'Keep a copy of the audio in this folder (relative to vault root); path is saved in the database',
+            type: 'string',
+          })
+          .option('summarize', {
+            describe: 'Add a TL;DR, key points and timestamped chapters',
+            type: 'boolean',
+            default: false,
+          })
+          .option('publisher-transcript', {
+            describe: 'Import transcripts published in the feed instead of transcribing (--no-publisher-transcript to always transcribe)',
+            type: 'boolean',
+            default: true,
+          })
+          .option('refresh', {
+            describe: 'Fetch every feed in full, even if it reports no change since the last sync',
+            type: 'boolean',
+            default: false,
+          })
+          .option('tag', {
+            alias: 't',
+            describe: 'Only sync subscriptions with this tag',
+            type: 'string',
+          })
+          .example('$0 sync', 'Sync all subscriptions')
+          .example('$0 sync dwarkesh --dry-run', 'Preview new episodes for one feed')
+          .example('$0 sync -o "Resources/Podcasts"', 'Also write markdown files to the vault')
+          .example('$0 sync --max-cost 0.50', 'Skip any episode estimated over $0.50');
+      },
+      handlers.sync
+    )
+
+    // ============================================================================
+    // watch command
+    // ============================================================================
+    .command(
+      'watch <dir>',
+      'Watch a folder and transcribe new recordings as they finish writing',
+      (yargs) => {
+        return yargs
+          .positional('dir', {
+            describe: 'Folder to watch (e.g. where a meeting recorder saves files)',
+            type: 'string',
+          })
+          .option('output-dir', {
+            alias: 'o',
+            describe: 'Save a file per recording in this folder (relative to vault root)',
+            type: 'string',
+          })
+          .option('speakers', {
+            alias: 's',
+            describe: 'Speaker hint applied to every recording (e.g. "Weekly sync: Nick, Sarah, Tom")',
+            type: 'string',
+          })
+          .option('channel', {
+            alias: 'c',
+            describe: 'Channel name to file recordings under (selects glossary + regular speakers)',
+            type: 'string',
+          })
+          .option('format', {
+            alias: 'f',
+            describe: 'Output format',
+            type: 'string',
+            default: 'markdown',
+            choices: VALID_OUTPUT_FORMATS,
+          })
+          .option('provider', {
+            describe: 'Transcription backend (default: TRANSCRIPTION_PROVIDER env or assemblyai)',
+            type: 'string',
+            choices: TRANSCRIPTION_PROVIDERS,
+          })
+          .option('summarize', {
+            describe: 'Add a TL;DR, key points and timestamped chapters',
+            type: 'boolean',
+            default: false,
+          })
+          .option('after', {
+            describe: 'What to do with a recording once handled: move it into processed/ (or failed/), or leave it and mark it in .transcribed',
+            type: 'string',
+            default: 'move',
+            choices: ['move', 'mark'],
+          })
+          .option('interval', {
+            describe: 'Seconds between folder scans (a file must be unchanged for this long)',
+            type: 'number',
+            default: 10,
+          })
+          .option('once', {
+            describe: 'Process finished recordings already in the folder, then exit',
+            type: 'boolean',
+            default: false,
+          })
+          .example('$0 watch ~/Recordings -o "Resources/Meetings" -c "Team meetings"', 'Transcribe meeting recordings into the vault')
+          .example('$0 watch ~/Recordings --after mark --once', 'One pass (e.g. from cron), leaving files in place');
+      },
+      handlers.watch
+    )
+
+    // ============================================================================
+    // serve command
+    // ============================================================================
+    .command(
+      'serve',
+      'Start a local HTTP API for browsing transcripts and submitting jobs',
+      (yargs) => {
+        return yargs
+          .option('port', {
+            describe: 'Port to listen on',
+            type: 'number',
+            default: 8787,
+          })
+          .option('host', {
+            describe: 'Interface to bind (use 0.0.0.0 to expose on the network)',
+            type: 'string',
+            default: '127.0.0.1',
+          })
+          .option('provider', {
+            describe: 'Transcription backend for submitted jobs (default: TRANSCRIPTION_PROVIDER env or assemblyai)',
+            type: 'string',
+            choices: TRANSCRIPTION_PROVIDERS,
+          })
+          .example('$0 serve', 'Serve on http://127.0.0.1:8787')
+          .example('$0 serve --port 9000 --provider whisper', 'Different port, local transcription');
+      },
+      handlers.serve
     );
 }
@@ -0,0 +1,150 @@
+/**
+ * Local REST API for the transcript library
+ *
+ * Routing, JSON/auth handling and status codes live here; the actual work is
+ * done by handlers supplied by transcribe.js (same split as buildCli).
+ *
+ *   GET  /transcripts?channel&speaker&source_type&limit  → handlers.list(query)
+ *   GET  /transcripts/:query                             → handlers.get(query)
+ *   GET  /transcripts/:query/content?format=markdown     → handlers.content(query, format)
+ *   GET  /search?q=terms&limit                           → handlers.search(query)
+ *   POST /jobs  { url, format, speakers, title, ... }    → handlers.submit(body)
+ *   GET  /jobs?incomplete=true&limit                     → handlers.jobs(query)
+ *   GET  /jobs/:id                                       → handlers.job(id)
+ */
+
+import http from 'http';
+
+const MAX_BODY_BYTES = 1024 * 1024;
+
+const CONTENT_TYPES = {
+  markdown: 'text/markdown; charset=utf-8',
+  text: 'text/plain; charset=utf-8',
+  json: 'application/json; charset=utf-8',
+  srt: 'application/x-subrip; charset=utf-8',
+  vtt: 'text/vtt; charset=utf-8',
+};
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+/**
+ * Create an error that the server turns into a JSON response with this status
+ * @param {number} status - HTTP status code
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+export function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function decodePathParam(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    throw httpError(400, `Malformed escape in path: ${value}`);
+  }
+}
+
+function sendJson(res, status, data) {
+  res.writeHead(status, { 'Content-Type': CONTENT_TYPES.json });
+  res.end(`${JSON.stringify(data, null, 2)}\n`);
+}
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(httpError(413, 'Request body too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      if (chunks.length === 0) {
+        resolve({});
+        return;
+      }
+      let body;
+      try {
+        body = JSON.parse(Buffer.concat(chunks).toString('utf-8'));
+      } catch {
+        reject(httpError(400, 'Request body must be valid JSON'));
+        return;
+      }
+      if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+        reject(httpError(400, 'Request body must be a JSON object'));
+        return;
+      }
+      resolve(body);
+    });
+    req.on('error', reject);
+  });
+}
+
+// ============================================================================
+// Server
+// ============================================================================
+
+/**
+ * Create the API server (call .listen() to start it)
+ * @param {Object} handlers - { list, get, content, search, submit, jobs, job }; each
+ *   returns data (or { content, format } for content) and throws httpError() for 4xx
+ * @param {Object} [options]
+ * @param {string} [options.token] - If set, requests need "Authorization: Bearer <token>"
+ * @returns {http.Server}
+ */
+export function createApiServer(handlers, { token } = {}) {
+  const routes = [
+    ['GET', /^\/transcripts$/, (req, url) => handlers.list(Object.fromEntries(url.searchParams))],
+    ['GET', /^\/transcripts\/([^/]+)$/, (req, url, [query]) => handlers.get(query)],
+    ['GET', /^\/transcripts\/([^/]+)\/content$/, (req, url, [query]) => handlers.content(query, url.searchParams.get('format') || 'markdown')],
+    ['GET', /^\/search$/, (req, url) => handlers.search(Object.fromEntries(url.searchParams))],
+    ['POST', /^\/jobs$/, async req => handlers.submit(await readJsonBody(req))],
+    ['GET', /^\/jobs$/, (req, url) => handlers.jobs(Object.fromEntries(url.searchParams))],
+    ['GET', /^\/jobs\/([^/]+)$/, (req, url, [id]) => handlers.job(id)],
+  ];
+
+  return http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+
+    try {
+      if (token && req.headers.authorization !== `Bearer ${token}`) {
+        throw httpError(401, 'Missing or invalid bearer token');
+      }
+
+      const matching = routes.filter(([, pattern]) => pattern.test(url.pathname));
+      if (matching.length === 0) {
+        throw httpError(404, `No route for ${url.pathname}`);
+      }
+      const route = matching.find(([method]) => method === req.method);
+      if (!route) {
+        throw httpError(405, `${req.method} not allowed on ${url.pathname}`);
+      }
+
+      const [, pattern, handler] = route;
+      const params = url.pathname.match(pattern).slice(1).map(decodePathParam);
+      const result = await handler(req, url, params);
+
+      if (result && typeof result.content === 'string' && result.format) {
+        res.writeHead(200, { 'Content-Type': CONTENT_TYPES[result.format] || CONTENT_TYPES.text });
+        res.end(result.content);
+        return;
+      }
+      sendJson(res, req.method === 'POST' ? 202 : 200, result);
+    } catch (error) {
+      const status = error.status || 500;
+      if (status === 500) {
+        console.error(`❌ ${req.method} ${url.pathname}: ${error.message}`);
+      }
+      sendJson(res, status, { error: error.message });
+    }
+  });
+}
@@ -0,0 +1,176 @@
+/**
+ * Audio inspection and preprocessing via ffprobe/ffmpeg
+ */
+
+import { execFile } from 'child_process';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { existsSync, unlinkSync, createReadStream } from 'fs';
+import { randomBytes, createHash } from 'crypto';
+
+// Silence detection: quieter than this for at least this long counts as silence
+const SILENCE_NOISE_DB = -50;
+const SILENCE_MIN_SECONDS = 1;
+// Keep a little of the silence so the first/last word isn't clipped
+const SILENCE_PAD_SECONDS = 0.25;
+
+// EBU R128 loudness target (podcast/speech level)
+const LOUDNORM_FILTER = 'loudnorm=I=-16:TP=-1.5:LRA=11';
+
+/**
+ * Get media duration in seconds using ffprobe.
+ * Works for local files and for http(s) URLs ffprobe can read directly.
+ * @param {string} input - File path or URL
+ * @returns {Promise<number|null>} Duration in seconds, or null if unavailable
+ */
+export async function probeDuration(input) {
+  return new Promise((resolve) => {
+    execFile('ffprobe', [
+      '-v', 'error',
+      '-show_entries', 'format=duration',
+      '-of', 'default=noprint_wrappers=1:nokey=1',
+      input,
+    ], { timeout: 30000 }, (error, stdout) => {
+      if (error) {
+        resolve(null);
+        return;
+      }
+      const seconds = parseFloat(stdout.trim());
+      resolve(Number.isFinite(seconds) ? seconds : null);
+    });
+  });
+}
+
+/**
+ * SHA-256 of a file's contents — identifies the same recording under any name or path
+ * @param {string} filePath - File path
+ * @returns {Promise<string>} Hex digest
+ */
+export function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = createHash('sha256');
+    createReadStream(filePath)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')))
+      .on('error', reject);
+  });
+}
+
+/**
+ * Seconds as an ffmpeg time argument (millisecond precision)
+ */
+function toSeconds(value) {
+  return String(Math.round(value * 1000) / 1000);
+}
+
+/**
+ * Run ffmpeg and resolve with its stderr (where filters like silencedetect report)
+ */
+function runFfmpeg(args, { timeout = 30 * 60 * 1000 } = {}) {
+  return new Promise((resolve, reject) => {
+    execFile('ffmpeg', ['-hide_banner', '-nostats', ...args], { timeout, maxBuffer: 50 * 1024 * 1024 }, (error, stdout, stderr) => {
+      if (error) {
+        reject(new Error(`ffmpeg failed: ${error.message}`));
+        return;
+      }
+      resolve(stderr);
+    });
+  });
+}
+
+/**
+ * Find where speech starts and ends within a segment, using ffmpeg silencedetect
+ * @param {string} input - Audio file path
+ * @param {Object} segment
+ * @param {number} segment.start - Segment start in seconds
+ * @param {number|null} segment.end - Segment end in seconds (null = end of file)
+ * @returns {Promise<{ speechStart: number, speechEnd: number|null }>} Seconds relative to
+ *   the segment start; speechEnd is null when the segment doesn't end in silence
+ */
+async function detectSpeechBounds(input, { start, end }) {
+  const stderr = await runFfmpeg([
+    '-ss', toSeconds(start),
+    ...(end != null ? ['-t', toSeconds(end - start)] : []),
+    '-i', input,
+    '-af', `silencedetect=noise=${SILENCE_NOISE_DB}dB:d=${SILENCE_MIN_SECONDS}`,
+    '-f', 'null', '-',
+  ]);
+
+  const silences = [];
+  for (const match of stderr.matchAll(/silence_(start|end): (-?[\d.]+)/g)) {
+    const seconds = Math.max(0, parseFloat(match[2]));
+    if (match[1] === 'start') {
+      silences.push({ start: seconds, end: null });
+    } else if (silences.length > 0) {
+      silences[silences.length - 1].end = seconds;
+    }
+  }
+  // ffmpeg closes a silence still running at EOF with silence_end = segment length
+  const fileDuration = end == null ? await probeDuration(input) : null;
+  const total = end != null ? end - start : fileDuration != null ? fileDuration - start : null;
+  const first = silences[0];
+  const last = silences[silences.length - 1];
+
+  const leading = first && first.start < 0.05 && first.end != null ? first.end : 0;
+  const trailing = last && (last.end == null || (total != null && last.end >= total - 0.05))
+    ? last.start
+    : null;
+
+  // Nothing but silence — leave the segment as it is
+  if (trailing != null && trailing <= leading) {
+    return { speechStart: 0, speechEnd: null };
+  }
+
+  return {
+    speechStart: Math.max(0, leading - SILENCE_PAD_SECONDS),
+    speechEnd: trailing != null ? trailing + SILENCE_PAD_SECONDS : null,
+  };
+}
+
+/**
+ * Cut a time range out of an audio file and optionally clean it up before
+ * upload: trim leading/trailing silence, downmix to mono, normalize loudness.
+ * The result is a temporary MP3; offsetMs is where it starts in the original,
+ * so transcript timestamps can be shifted back onto the source media.
+ * @param {string} input - Audio file path
+ * @param {Object} options
+ * @param {number} [options.start] - Start of the range in seconds
+ * @param {number} [options.end] - End of the range in seconds
+ * @param {boolean} [options.trimSilence] - Drop silence at the start and end of the range
+ * @param {boolean} [options.mono] - Downmix to one channel
+ * @param {boolean} [options.normalize] - Normalize loudness (EBU R128)
+ * @returns {Promise<{ filePath: string, offsetMs: number, durationSeconds: number|null, cleanup: Function }>}
+ */
+export async function preprocessAudio(input, { start = 0, end = null, trimSilence = false, mono = false, normalize = false } = {}) {
+  let from = start || 0;
+  let to = end ?? null;
+
+  if (trimSilence) {
+    const { speechStart, speechEnd } = await detectSpeechBounds(input, { start: from, end: to });
+    if (speechEnd != null) to = from + speechEnd;
+    from += speechStart;
+  }
+
+  const outPath = join(tmpdir(), `transcribe-${randomBytes(4).toString('hex')}.mp3`);
+  await runFfmpeg([
+    '-ss', toSeconds(from),
+    ...(to != null ? ['-t', toSeconds(to - from)] : []),
+    '-i', input,
+    '-vn',
+    ...(mono ? ['-ac', '1'] : []),
+    ...(normalize ? ['-af', LOUDNORM_FILTER] : []),
+    '-c:a', 'libmp3lame', '-q:a', '2',
+    '-y', outPath,
+  ]);
+
+  return {
+    filePath: outPath,
+    offsetMs: Math.round(from * 1000),
+    durationSeconds: to != null ? to - from : null,
+    cleanup() {
+      try {
+        if (existsSync(outPath)) unlinkSync(outPath);
+      } catch { /* ignore cleanup errors */ }
+    },
+  };
+}
@@ -0,0 +1,188 @@
+/**
+ * Downloaded-audio cache
+ *
+ * Files are stored under a hash of the normalized source URL, so re-running a
+ * URL (--force, reidentify experiments, a failed job started over) skips the
+ * download. yt-dlp metadata is cached next to the audio. Least recently used
+ * files are evicted once the cache exceeds its size limit or age limit —
+ * except files a run in this process still holds (see get/put and release).
+ */
+
+import { createHash } from 'crypto';
+import { join, extname } from 'path';
+import {
+  existsSync, mkdirSync, readdirSync, statSync, unlinkSync, renameSync, copyFileSync,
+  readFileSync, writeFileSync, utimesSync,
+} from 'fs';
+
+const TRACKING_PARAMS = /^(utm_\w+|fbclid|gclid|si|feature|ref)$/i;
+
+// ============================================================================
+// URL Normalization
+// ============================================================================
+
+/**
+ * Normalize a media URL so trivially different links to the same media share
+ * a cache entry: lowercase host without www./m., no fragment or tracking
+ * parameters, sorted query, and YouTube links reduced to the video ID.
+ * @param {string} url - Media URL
+ * @returns {string} Normalized URL
+ */
+export function normalizeUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return url.trim();
+  }
+
+  const host = parsed.hostname.toLowerCase().replace(/^(www|m)\./, '');
+
+  // youtu.be/ID, youtube.com/shorts/ID, youtube.com/watch?v=ID&list=...&t=...
+  if (host === 'youtu.be' || host === 'youtube.com') {
+    const videoId = host === 'youtu.be'
+      ? parsed.pathname.slice(1)
+      : parsed.searchParams.get('v') || parsed.pathname.match(/^\/(?:shorts|live|embed)\/([^/]+)/)?.[1];
+    if (videoId) return `https://youtube.com/watch?v=${videoId}`;
+  }
+
+  const params = [...parsed.searchParams].filter(([key]) => !TRACKING_PARAMS.test(key)).sort(([a], [b]) => a.localeCompare(b));
+  const query = params.length > 0 ? `?${new URLSearchParams(params)}` : '';
+  const path = parsed.pathname.replace(/\/+$/, '');
+  return `${parsed.protocol}//${host}${parsed.port ? `:${parsed.port}` : ''}${path}${query}`;
+}
+
+// ============================================================================
+// Cache
+// ============================================================================
+
+/**
+ * Create an audio cache in a directory (created on first write)
+ * @param {string} dir - Cache directory
+ * @param {Object} [options]
+ * @param {number} [options.maxBytes] - Evict least recently used files above this total size (0 disables the cache)
+ * @param {number} [options.maxAgeDays] - Evict files not used for this many days
+ * @returns {Object} Cache with enabled, get, put, release, evict methods
+ */
+export function createAudioCache(dir, { maxBytes = 2 * 1024 ** 3, maxAgeDays = 30 } = {}) {
+  const keyFor = url => createHash('sha256').update(normalizeUrl(url)).digest('hex').slice(0, 32);
+  const metadataPath = key => join(dir, `${key}.json`);
+
+  // Cached path → number of runs still using it (concurrent playlist workers)
+  const holds = new Map();
+  const hold = path => holds.set(path, (holds.get(path) || 0) + 1);
+
+  function findAudio(key) {
+    if (!existsSync(dir)) return null;
+    const name = readdirSync(dir).find(f => f.startsWith(`${key}.`) && !f.endsWith('.json'));
+    return name ? join(dir, name) : null;
+  }
+
+  // Access time isn't reliable (noatime mounts), so mtime marks last use
+  function touch(path) {
+    const now = new Date();
+    utimesSync(path, now, now);
+  }
+
+  const cache = {
+    enabled: maxBytes > 0,
+
+    /**
+     * Look up cached audio for a URL. A hit is held until release(filePath).
+     * @param {string} url - Media URL
+     * @returns {{ filePath: string, metadata: Object|null }|null}
+     */
+    get(url) {
+      if (!cache.enabled) return null;
+      const key = keyFor(url);
+      const filePath = findAudio(key);
+      if (!filePath) return null;
+
+      touch(filePath);
+      hold(filePath);
+      const metadata = existsSync(metadataPath(key))
+        ? JSON.parse(readFileSync(metadataPath(key), 'utf-8'))
+        : null;
+      return { filePath, metadata };
+    },
+
+    /**
+     * Move a downloaded file into the cache, then evict old entries.
+     * The cached file is held until release(path).
+     * @param {string} url - Media URL the file was downloaded from
+     * @param {string} filePath - Downloaded file (moved, not copied)
+     * @param {Object} [metadata] - yt-dlp metadata to cache alongside
+     * @returns {string} Path of the cached file
+     */
+    put(url, filePath, metadata = null) {
+      mkdirSync(dir, { recursive: true });
+      const key = keyFor(url);
+      const cachedPath = join(dir, `${key}${extname(filePath) || '.mp3'}`);
+
+      try {
+        renameSync(filePath, cachedPath);
+      } catch {
+        // Different filesystem (e.g. tmpfs) — copy instead
+        copyFileSync(filePath, cachedPath);
+        unlinkSync(filePath);
+      }
+      if (metadata) {
+        writeFileSync(metadataPath(key), JSON.stringify(metadata), 'utf-8');
+      }
+      touch(cachedPath);
+      hold(cachedPath);
+
+      cache.evict();
+      return cachedPath;
+    },
+
+    /**
+     * Let a file from get/put be evicted again once the run is done with it
+     * @param {string} filePath - Cached file path
+     */
+    release(filePath) {
+      const count = (holds.get(filePath) || 0) - 1;
+      if (count > 0) holds.set(filePath, count);
+      else holds.delete(filePath);
+    },
+
+    /**
+     * Delete files unused for longer than maxAgeDays, then least recently
+     * used files until the cache fits in maxBytes. Held files are skipped.
+     * @returns {{ removed: number, freedBytes: number }}
+     */
+    evict() {
+      if (!existsSync(dir)) return { removed: 0, freedBytes: 0 };
+
+      const files = readdirSync(dir)
+        .filter(f => !f.endsWith('.json'))
+        .map(f => {
+          const path = join(dir, f);
+          const { size, mtimeMs } = statSync(path);
+          return { path, size, mtimeMs };
+        })
+        .sort((a, b) => a.mtimeMs - b.mtimeMs);
+
+      const cutoff = Date.now() - maxAgeDays * 24 * 60 * 60 * 1000;
+      let total = files.reduce((sum, f) => sum + f.size, 0);
+      let removed = 0;
+      let freedBytes = 0;
+
+      for (const file of files) {
+        if (holds.has(file.path)) continue;
+        if (file.mtimeMs >= cutoff && total <= maxBytes) break;
+
+        unlinkSync(file.path);
+        const meta = file.path.replace(/\.[^.]+$/, '.json');
+        if (existsSync(meta)) unlinkSync(meta);
+        total -= file.size;
+        freedBytes += file.size;
+        removed++;
+      }
+
+      return { removed, freedBytes };
+    },
+  };
+
+  return cache;
+}
@@ -41,14 +41,26 @@ export function isYouTubeUrl(input) {
  * Download audio from a URL using yt-dlp
  * Works with any yt-dlp-supported URL (YouTube, podcasts, etc.)
  * @param {string} url - Media URL
+ * @param {Object} [options]
+ * @param {Object} [options.metadata] - Metadata already fetched via getMediaMetadata (skips a second lookup)
+ * @param {Object} [options.cache] - Audio cache from createAudioCache; cached files are reused, and
+ *   cleanup releases them to the cache instead of deleting them
  * @returns {Object} { filePath, title, description, uploader, channelUrl, rawMetadata, cleanup }
  */
-export async function downloadAudio(url) {
+export async function downloadAudio(url, { metadata: prefetched, cache } = {}) {
+  const cached = cache ? cache.get(url) : null;
+  if (cached) {
+    const metadata = prefetched || cached.metadata || await getMediaMetadata(url);
+    console.log(`   Video: ${metadata.title}`);
+    console.log('   Using cached audio (no download)');
+    return toSourceInfo(cached.filePath, metadata, () => cache.release(cached.filePath));
+  }
+
   // Check yt-dlp is installed
   await checkYtDlp();
 
   // Get media metadata (title, description, uploader, channelUrl, rawMetadata) in one call
-  const metadata = await getMediaMetadata(url);
+  const metadata = prefetched || await getMediaMetadata(url);
   console.log(`   Video: ${metadata.title}`);
 
   // Download to temp directory as mp3
@@ -83,35 +95,53 @@ export async function downloadAudio(url) {
 
   const finalPath = existsSync(tempPath) ? tempPath : actualPath;
 
+  // The cache owns the file from here on
+  if (cache && cache.enabled) {
+    const cachedPath = cache.put(url, finalPath, metadata);
+    return toSourceInfo(cachedPath, metadata, () => cache.release(cachedPath));
+  }
+
+  return toSourceInfo(finalPath, metadata, () => {
+    try {
+      if (existsSync(finalPath)) unlinkSync(finalPath);
+    } catch { /* ignore cleanup errors */ }
+  });
+}
+
+/**
+ * Shape a downloaded file + its metadata into the pipeline's source info
+ */
+function toSourceInfo(filePath, metadata, cleanup) {
   return {
-    filePath: finalPath,
+    filePath,
     title: metadata.title,
     description: metadata.description,
     uploader: metadata.uploader,
     channelUrl: metadata.channelUrl,
     rawMetadata: metadata.rawMetadata,
-    cleanup() {
-      try {
-        if (existsSync(finalPath)) unlinkSync(finalPath);
-      } catch { /* ignore cleanup errors */ }
-    },
+    cleanup,
   };
 }
 
 /**
- * Get media metadata (title, description, uploader) from a URL
+ * Get media metadata (title, description, uploader, duration) from a URL
  * Uses --dump-json for a single request that returns all metadata
+ * @param {string} url - Media URL
+ * @returns {Object} { title, description, uploader, channelUrl, duration (seconds|null), uploadDate (YYYY-MM-DD|null), rawMetadata }
  */
-async function getMediaMetadata(url) {
+export async function getMediaMetadata(url) {
+  const unknown = { title: 'Unknown Media', description: '', uploader: '', channelUrl: null, duration: null, uploadDate: null, rawMetadata: null };
+
   return new Promise((resolve) => {
     execFile('yt-dlp', [
       '--dump-json',
       '--no-download',
       '--no-warnings',
+      '--no-playlist',
       url,
     ], { timeout: 30000, maxBuffer: 10 * 1024 * 1024 }, (error, stdout) => {
       if (error) {
-        resolve({ title: 'Unknown Media', description: '', uploader: '', channelUrl: null, rawMetadata: null });
+        resolve(unknown);
         return;
       }
       try {
@@ -121,15 +151,95 @@ async function getMediaMetadata(url) {
           description: data.description || '',
           uploader: data.uploader || data.channel || '',
           channelUrl: data.channel_url || null,
+          duration: data.duration || null,
+          uploadDate: toIsoDate(data),
           rawMetadata: stdout,
         });
       } catch {
-        resolve({ title: 'Unknown Media', description: '', uploader: '', channelUrl: null, rawMetadata: null });
+        resolve(unknown);
       }
     });
   });
 }
 
+/**
+ * List the entries of a playlist or channel without downloading anything
+ * (yt-dlp --flat-playlist). Channel pages that yt-dlp returns as tabs
+ * (Videos, Shorts, ...) are expanded one level.
+ * @param {string} url - Playlist or channel URL
+ * @param {Object} [options]
+ * @param {number} [options.depth=0] - Nesting level (tabs are only expanded at 0)
+ * @returns {Object} { title, uploader, entries: [{ url, title, duration (seconds|null), uploadDate (YYYY-MM-DD|null) }] }
+ */
+export async function getPlaylistEntries(url, { depth = 0 } = {}) {
+  await checkYtDlp();
+
+  const data = await new Promise((resolve, reject) => {
+    execFile('yt-dlp', [
+      '--flat-playlist',
+      '-J',
+      '--no-warnings',
+      url,
+    ], { timeout: 120000, maxBuffer: 50 * 1024 * 1024 }, (error, stdout) => {
+      if (error) {
+        reject(new Error(`yt-dlp failed to list playlist: ${error.message}`));
+        return;
+      }
+      try {
+        resolve(JSON.parse(stdout));
+      } catch {
+        reject(new Error('yt-dlp returned unreadable playlist JSON'));
+      }
+    });
+  });
+
+  if (data._type !== 'playlist') {
+    throw new Error(`Not a playlist or channel URL: ${url}`);
+  }
+
+  const entries = [];
+  for (const entry of data.entries || []) {
+    const entryUrl = entry.ie_key === 'Youtube' && entry.id
+      ? `https://www.youtube.com/watch?v=${entry.id}`
+      : entry.webpage_url || entry.url;
+    if (!entryUrl) continue;
+
+    // Nested playlist (e.g. a channel's Videos tab) — expand once
+    if (entry._type === 'playlist' || entry.ie_key === 'YoutubeTab') {
+      if (depth === 0) {
+        const nested = await getPlaylistEntries(entryUrl, { depth: 1 });
+        entries.push(...nested.entries);
+      }
+      continue;
+    }
+
+    entries.push({
+      url: entryUrl,
+      title: entry.title || entryUrl,
+      duration: entry.duration || null,
+      uploadDate: toIsoDate(entry),
+    });
+  }
+
+  return {
+    title: data.title || url,
+    uploader: data.uploader || data.channel || '',
+    entries,
+  };
+}
+
+/**
+ * Publication date from yt-dlp JSON (upload_date "YYYYMMDD" or a unix timestamp)
+ * @returns {string|null} YYYY-MM-DD
+ */
+function toIsoDate(data) {
+  if (/^\d{8}$/.test(data.upload_date || '')) {
+    return `${data.upload_date.slice(0, 4)}-${data.upload_date.slice(4, 6)}-${data.upload_date.slice(6, 8)}`;
+  }
+  const timestamp = data.timestamp || data.release_timestamp;
+  return timestamp ? new Date(timestamp * 1000).toISOString().split('T')[0] : null;
+}
+
 /**
  * Verify yt-dlp is installed
  */
@@ -1,58 +1,120 @@
 /**
- * Saved RSS feed URL storage.
- * Manages feeds.json in the project root (next to .env).
+ * Saved feed helpers.
+ *
+ * Feeds live in the feeds table (see storage.js). This module imports the
+ * old feeds.json (project root, next to .env) into it once, builds fetchFeed
+ * request options from a saved feed, and redacts credentials for display.
+ *
+ * feeds.json entries were either a plain URL string or
+ * { url, subscription?, auth?, headers?, cache?: { etag, lastModified } }.
  */
 
-import { readFileSync, writeFileSync } from 'fs';
+import { existsSync, readFileSync, renameSync } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
+import { getFeed, saveFeed } from './storage.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const FEEDS_PATH = join(__dirname, '..', '..', 'feeds.json');
 
+// Query parameters that carry credentials
+const SECRET_PARAM = /token|key|secret|auth|pass|sig|session|access|private|uid/i;
+const REDACTED = '****';
+
 /**
- * Load saved feeds from feeds.json.
- * @returns {Object} Map of { name: url } (empty object if file missing)
+ * Import feeds.json into the database, then rename it to feeds.json.imported
+ * so it is only imported once. Feeds already in the database are kept as-is.
+ * @param {string} dataDir - Data directory path
+ * @param {string} [path] - feeds.json location (default: project root)
+ * @returns {number} Number of feeds imported (0 if there was no feeds.json)
  */
-export function loadFeeds() {
+export function importFeedsJson(dataDir, path = FEEDS_PATH) {
+  if (!existsSync(path)) return 0;
+
+  let entries;
   try {
-    return JSON.parse(readFileSync(FEEDS_PATH, 'utf-8'));
-  } catch {
-    return {};
+    entries = Object.entries(JSON.parse(readFileSync(path, 'utf-8')));
+  } catch (error) {
+    throw new Error(`Could not import ${path}: ${error.message}`);
   }
+
+  let imported = 0;
+  for (const [name, value] of entries) {
+    if (getFeed(dataDir, name)) continue;
+    const entry = typeof value === 'string' ? { url: value } : value;
+    if (!entry?.url) continue;
+
+    saveFeed(dataDir, name, {
+      url: entry.url,
+      subscription: entry.subscription || null,
+      auth: entry.auth || null,
+      headers: entry.headers || null,
+      etag: entry.cache?.etag || null,
+      last_modified: entry.cache?.lastModified || null,
+    });
+    imported++;
+  }
+
+  renameSync(path, `${path}.imported`);
+  return imported;
 }
 
 /**
- * Save a feed URL under a name (upsert).
- * @param {string} name - Feed name (case-insensitive)
- * @param {string} url - RSS feed URL
+ * Request options for fetchFeed from a saved feed: credentials, headers
+ * and — when conditional — the validators from the last sync.
+ * @param {Object} feed - Saved feed from getFeed/listFeeds
+ * @param {Object} [options]
+ * @param {boolean} [options.conditional=false] - Send If-None-Match/If-Modified-Since
+ * @returns {{auth?: Object, headers?: Object, etag?: string, lastModified?: string}}
  */
-export function addFeed(name, url) {
-  const feeds = loadFeeds();
-  feeds[name.toLowerCase()] = url;
-  writeFileSync(FEEDS_PATH, JSON.stringify(feeds, null, 2) + '\n', 'utf-8');
+export function feedRequestOptions(feed, { conditional = false } = {}) {
+  return {
+    ...(feed.auth ? { auth: feed.auth } : {}),
+    ...(feed.headers ? { headers: feed.headers } : {}),
+    ...(conditional && feed.etag ? { etag: feed.etag } : {}),
+    ...(conditional && feed.last_modified ? { lastModified: feed.last_modified } : {}),
+  };
 }
 
 /**
- * Remove a saved feed by name.
- * @param {string} name - Feed name (case-insensitive)
- * @returns {boolean} True if feed existed and was removed
+ * Mask credentials in a feed URL: passwords, secret-looking query
+ * parameters (token, key, auth, ...) and long token-like path segments
+ * (private feeds often put the token in the path).
+ * @param {string} url - Feed URL
+ * @returns {string} URL safe to print
  */
-export function removeFeed(name) {
-  const feeds = loadFeeds();
-  const key = name.toLowerCase();
-  if (!(key in feeds)) return false;
-  delete feeds[key];
-  writeFileSync(FEEDS_PATH, JSON.stringify(feeds, null, 2) + '\n', 'utf-8');
-  return true;
+export function redactUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return url;
+  }
+
+  if (parsed.password) parsed.password = REDACTED;
+  for (const key of [...parsed.searchParams.keys()]) {
+    if (SECRET_PARAM.test(key)) parsed.searchParams.set(key, REDACTED);
+  }
+  parsed.pathname = parsed.pathname
+    .split('/')
+    .map(seg => (seg.length >= 16 && /\d/.test(seg) && /[a-z]/i.test(seg) && /^[\w.~-]+$/.test(seg) ? REDACTED : seg))
+    .join('/');
+
+  // URL re-encodes the mask; keep it readable
+  return parsed.toString().replaceAll(encodeURIComponent(REDACTED), REDACTED);
 }
 
 /**
- * Look up a saved feed URL by name.
- * @param {string} name - Feed name (case-insensitive)
- * @returns {string|null} Feed URL or null if not found
+ * Describe a feed's credentials for display without revealing them,
+ * e.g. "basic auth (alice), headers: X-Api-Key".
+ * @param {Object} feed - Saved feed
+ * @returns {string} Description, or '' if the feed has no credentials
  */
-export function getFeedUrl(name) {
-  const feeds = loadFeeds();
-  return feeds[name.toLowerCase()] || null;
+export function describeFeedAuth(feed) {
+  const parts = [];
+  if (feed.auth) parts.push(`basic auth (${feed.auth.username})`);
+  if (feed.headers && Object.keys(feed.headers).length > 0) {
+    parts.push(`headers: ${Object.keys(feed.headers).join(', ')}`);
+  }
+  return parts.join(', ');
 }
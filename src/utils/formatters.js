@@ -17,6 +17,89 @@ function formatTimestamp(ms) {
   return `[${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}]`;
 }
 
+/**
+ * Format milliseconds as a subtitle cue timestamp (HH:MM:SS,mmm or HH:MM:SS.mmm)
+ */
+function formatCueTimestamp(ms, separator) {
+  const total = Math.max(0, Math.round(ms));
+  const hours = Math.floor(total / 3600000);
+  const minutes = Math.floor((total % 3600000) / 60000);
+  const seconds = Math.floor((total % 60000) / 1000);
+  const millis = total % 1000;
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}${separator}${String(millis).padStart(3, '0')}`;
+}
+
+// ============================================================================
+// Subtitle Cues
+// ============================================================================
+
+const CUE_MAX_CHARS = 84;        // Two lines of 42 — common broadcast limit
+const CUE_LINE_CHARS = 42;
+const CUE_MAX_DURATION_MS = 7000;
+
+/**
+ * Wrap cue text onto at most two lines, breaking at the space nearest the middle
+ */
+function wrapCueText(text) {
+  if (text.length <= CUE_LINE_CHARS) return text;
+  const middle = Math.floor(text.length / 2);
+  const before = text.lastIndexOf(' ', middle);
+  const after = text.indexOf(' ', middle);
+  if (before === -1 && after === -1) return text;
+  const split = before === -1 || (after !== -1 && after - middle < middle - before) ? after : before;
+  return `${text.slice(0, split)}\n${text.slice(split + 1)}`;
+}
+
+/**
+ * Split utterances into subtitle-sized cues.
+ * Long utterances are divided into roughly equal word groups, each capped at
+ * CUE_MAX_CHARS and CUE_MAX_DURATION_MS. Cue times are interpolated from the
+ * utterance start/end by character offset.
+ * @param {Array} utterances - Array of { speaker, text, start, end } (milliseconds)
+ * @returns {Array} Array of { speaker, text, start, end } cues
+ */
+function buildCues(utterances) {
+  const cues = [];
+
+  for (const u of utterances || []) {
+    if (u.start == null || u.end == null) continue;
+    const text = u.text.replace(/\s+/g, ' ').trim();
+    if (!text) continue;
+
+    const duration = Math.max(0, u.end - u.start);
+    const cueCount = Math.max(
+      Math.ceil(text.length / CUE_MAX_CHARS),
+      Math.ceil(duration / CUE_MAX_DURATION_MS),
+      1
+    );
+    const targetChars = Math.ceil(text.length / cueCount);
+
+    // Greedily pack words up to the target length (never beyond the hard cap)
+    const chunks = [];
+    let current = '';
+    for (const word of text.split(' ')) {
+      const candidate = current ? `${current} ${word}` : word;
+      if (current && (candidate.length > CUE_MAX_CHARS || current.length >= targetChars)) {
+        chunks.push(current);
+        current = word;
+      } else {
+        current = candidate;
+      }
+    }
+    if (current) chunks.push(current);
+
+    let offset = 0;
+    for (const chunk of chunks) {
+      const start = u.start + Math.round(duration * (offset / text.length));
+      offset += chunk.length + 1;
+      const end = u.start + Math.round(duration * (Math.min(offset, text.length) / text.length));
+      cues.push({ speaker: u.speaker, text: wrapCueText(chunk), start, end });
+    }
+  }
+
+  return cues;
+}
+
 // ============================================================================
 // Speaker Name Mapping
 // ============================================================================
@@ -47,6 +130,29 @@ export function mapSpeakerNames(utterances, speakerMapping) {
 // Format Functions
 // ============================================================================
 
+/**
+ * Render `## Summary` and `## Chapters` markdown sections
+ * @param {Object} summary - { tldr, keyPoints, chapters: [{ title, start }] }
+ * @returns {Array<string>} Lines (each section followed by a blank line)
+ */
+function formatSummarySection(summary) {
+  const lines = ['## Summary', '', summary.tldr, ''];
+  if (summary.keyPoints && summary.keyPoints.length > 0) {
+    for (const point of summary.keyPoints) {
+      lines.push(`- ${point}`);
+    }
+    lines.push('');
+  }
+  if (summary.chapters && summary.chapters.length > 0) {
+    lines.push('## Chapters', '');
+    for (const chapter of summary.chapters) {
+      lines.push(`- ${formatTimestamp(chapter.start)} ${chapter.title}`);
+    }
+    lines.push('');
+  }
+  return lines;
+}
+
 /**
  * Format transcript as Obsidian-friendly markdown
  */
@@ -62,8 +168,13 @@ export function formatMarkdown(filename, utterances, text, metadata = {}) {
     const secs = Math.round(metadata.audioDuration % 60);
     lines.push(`duration: ${mins}m ${secs}s`);
   }
+  if (metadata.provider) {
+    lines.push(`provider: ${metadata.provider}`);
+  }
   if (metadata.transcriptId) {
-    lines.push(`assemblyai_id: ${metadata.transcriptId}`);
+    // assemblyai_id kept for AssemblyAI so existing vault queries keep working
+    const key = metadata.provider === 'assemblyai' ? 'assemblyai_id' : 'transcript_id';
+    lines.push(`${key}: ${metadata.transcriptId}`);
   }
   if (metadata.sourceUrl) {
     lines.push(`source: ${metadata.sourceUrl}`);
@@ -81,6 +192,13 @@ export function formatMarkdown(filename, utterances, text, metadata = {}) {
   lines.push(`# ${filename}`);
   lines.push('');
 
+  // Summary + chapters (only when --summarize produced them)
+  if (metadata.summary) {
+    lines.push(...formatSummarySection(metadata.summary));
+    lines.push('## Transcript');
+    lines.push('');
+  }
+
   // Transcript body
   if (utterances && utterances.length > 0) {
     for (const u of utterances) {
@@ -113,15 +231,89 @@ export function formatText(utterances, text) {
  * Format transcript as JSON
  */
 export function formatJson(filename, utterances, text, metadata = {}) {
+  const { summary, ...rest } = metadata;
   return JSON.stringify({
     filename,
     date: new Date().toISOString(),
-    metadata,
+    metadata: rest,
+    ...(summary ? { summary: summary.tldr, keyPoints: summary.keyPoints, chapters: summary.chapters } : {}),
     utterances: utterances || [],
     text: text || '',
   }, null, 2);
 }
 
+/**
+ * Format transcript as SubRip (SRT) subtitles.
+ * SRT has no voice tag standard, so the speaker is prefixed to the first cue
+ * of each utterance run.
+ */
+export function formatSrt(utterances) {
+  const blocks = [];
+  let previousSpeaker = null;
+
+  buildCues(utterances).forEach((cue, i) => {
+    const showSpeaker = cue.speaker && cue.speaker !== previousSpeaker;
+    previousSpeaker = cue.speaker;
+    blocks.push([
+      String(i + 1),
+      `${formatCueTimestamp(cue.start, ',')} --> ${formatCueTimestamp(cue.end, ',')}`,
+      showSpeaker ? `${cue.speaker}: ${cue.text}` : cue.text,
+    ].join('\n'));
+  });
+
+  return blocks.join('\n\n') + '\n';
+}
+
+/**
+ * Escape the characters WebVTT cue text reserves for tags and entities
+ */
+function escapeVtt(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Format transcript as WebVTT subtitles with <v Speaker> voice tags
+ */
+export function formatVtt(utterances) {
+  const blocks = ['WEBVTT'];
+
+  for (const cue of buildCues(utterances)) {
+    const text = cue.speaker ? `<v ${escapeVtt(cue.speaker)}>${escapeVtt(cue.text)}` : escapeVtt(cue.text);
+    blocks.push(`${formatCueTimestamp(cue.start, '.')} --> ${formatCueTimestamp(cue.end, '.')}\n${text}`);
+  }
+
+  return blocks.join('\n\n') + '\n';
+}
+
+// ============================================================================
+// Format Dispatch
+// ============================================================================
+
+/**
+ * Output format registry — file extension and renderer for each format.
+ * Renderers share the signature (filename, utterances, text, metadata).
+ */
+const OUTPUT_FORMATTERS = {
+  markdown: { ext: '.md', render: formatMarkdown },
+  text: { ext: '.txt', render: (filename, utterances, text) => formatText(utterances, text) },
+  json: { ext: '.json', render: formatJson },
+  srt: { ext: '.srt', render: (filename, utterances) => formatSrt(utterances) },
+  vtt: { ext: '.vtt', render: (filename, utterances) => formatVtt(utterances) },
+};
+
+/**
+ * Render a transcript in the given output format
+ * @param {string} format - One of VALID_OUTPUT_FORMATS
+ * @returns {{ content: string, ext: string }} Rendered content and file extension
+ */
+export function renderTranscript(format, filename, utterances, text, metadata = {}) {
+  const formatter = OUTPUT_FORMATTERS[format] || OUTPUT_FORMATTERS.markdown;
+  return {
+    content: formatter.render(filename, utterances, text, metadata),
+    ext: formatter.ext,
+  };
+}
+
 /**
  * Print a console preview of the transcript (first N utterances)
  */
@@ -0,0 +1,61 @@
+/**
+ * Glossary term correction — fixes common mis-hearings (show names, guest
+ * names, jargon) in transcript text before it is identified and formatted.
+ */
+
+/**
+ * Build a case-insensitive whole-word matcher for a term. Word boundaries
+ * only apply at word characters, so terms like "C++" or ".NET" still match.
+ */
+function termPattern(term) {
+  const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const start = /^\w/.test(term) ? '\\b' : '';
+  const end = /\w$/.test(term) ? '\\b' : '';
+  return new RegExp(`${start}${escaped}${end}`, 'gi');
+}
+
+/**
+ * Compile glossary entries into replacers, longest term first so multi-word
+ * entries win over single words they contain.
+ * @param {Array} entries - Array of { term, replacement }
+ * @returns {Array} Array of { term, replacement, pattern }
+ */
+function compile(entries) {
+  return [...entries]
+    .sort((a, b) => b.term.length - a.term.length)
+    .map(e => ({ ...e, pattern: termPattern(e.term) }));
+}
+
+function replaceAll(text, replacers, counts) {
+  let result = text;
+  for (const { term, replacement, pattern } of replacers) {
+    result = result.replace(pattern, match => {
+      // Entries that only fix capitalization shouldn't count already-correct text
+      if (match !== replacement) counts[term] = (counts[term] || 0) + 1;
+      return replacement;
+    });
+  }
+  return result;
+}
+
+/**
+ * Apply glossary corrections to utterance text (and the full transcript text)
+ * @param {Array} utterances - Array of { speaker, text, ... }
+ * @param {string} text - Full transcript text
+ * @param {Array} entries - Glossary entries { term, replacement }
+ * @returns {{ utterances: Array, text: string, replacements: number, counts: Object }}
+ *   replacements and counts (per term) cover utterance text only
+ */
+export function applyGlossary(utterances, text, entries) {
+  if (!entries || entries.length === 0) {
+    return { utterances, text, replacements: 0, counts: {} };
+  }
+
+  const replacers = compile(entries);
+  const counts = {};
+  const corrected = utterances.map(u => ({ ...u, text: replaceAll(u.text, replacers, counts) }));
+  const correctedText = text ? replaceAll(text, replacers, {}) : text;
+  const replacements = Object.values(counts).reduce((sum, n) => sum + n, 0);
+
+  return { utterances: corrected, text: correctedText, replacements, counts };
+}
@@ -6,13 +6,17 @@
 import Database from 'better-sqlite3';
 import { mkdirSync, existsSync } from 'fs';
 import { join } from 'path';
+import { randomBytes } from 'crypto';
 
 // ============================================================================
 // Constants
 // ============================================================================
 
 const DATABASE_FILE = 'transcription.db';
-const DATABASE_VERSION = 2;
+const DATABASE_VERSION = 13;
+
+/** Pipeline stages in completion order (a job's stage is the last one completed) */
+export const JOB_STAGES = ['pending', 'downloaded', 'submitted', 'transcribed', 'identified', 'saved'];
 
 // ============================================================================
 // Database Connection Management
@@ -92,7 +96,120 @@ function initializeSchema(db) {
       file_path TEXT,
       created_at TEXT NOT NULL,
       raw_metadata TEXT,
-      content TEXT
+      content TEXT,
+      format TEXT,
+      full_text TEXT,
+      provider TEXT,
+      summary TEXT,
+      transcription_options TEXT,
+      glossary_replacements INTEGER,
+      audio_path TEXT,
+      file_hash TEXT,
+      original_filename TEXT
+    )
+  `);
+
+  // Utterances table — structured transcript body so content can be re-rendered
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS utterances (
+      transcript_id TEXT NOT NULL,
+      idx INTEGER NOT NULL,
+      speaker_label TEXT,
+      speaker_name TEXT,
+      text TEXT NOT NULL,
+      start_ms INTEGER,
+      end_ms INTEGER,
+      PRIMARY KEY (transcript_id, idx)
+    )
+  `);
+
+  // Jobs table — pipeline progress so paid transcripts survive crashes
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS jobs (
+      id TEXT PRIMARY KEY,
+      input TEXT NOT NULL,
+      options TEXT NOT NULL,
+      stage TEXT NOT NULL,
+      transcript_id TEXT,
+      state TEXT,
+      error TEXT,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL
+    )
+  `);
+
+  // Costs table — ledger of every billed API call
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS costs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      created_at TEXT NOT NULL,
+      transcript_id TEXT,
+      command TEXT,
+      channel TEXT,
+      provider TEXT NOT NULL,
+      model TEXT,
+      kind TEXT NOT NULL,
+      input_tokens INTEGER,
+      output_tokens INTEGER,
+      audio_seconds REAL,
+      cost_usd REAL
+    )
+  `);
+
+  // Speaker registry — people identified across transcripts, with aliases
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS speakers (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+      aliases TEXT NOT NULL DEFAULT '[]',
+      notes TEXT,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL
+    )
+  `);
+
+  // Speaker appearances — one row per speaker per transcript (channels derive from these)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS speaker_appearances (
+      speaker_id INTEGER NOT NULL,
+      transcript_id TEXT NOT NULL,
+      channel TEXT,
+      seen_at TEXT NOT NULL,
+      PRIMARY KEY (speaker_id, transcript_id)
+    )
+  `);
+
+  // Glossary — per-channel/feed corrections for common mis-hearings
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS glossary (
+      scope TEXT NOT NULL COLLATE NOCASE,
+      term TEXT NOT NULL COLLATE NOCASE,
+      replacement TEXT NOT NULL,
+      created_at TEXT NOT NULL,
+      PRIMARY KEY (scope, term)
+    )
+  `);
+
+  // Saved feeds — private/public podcast feeds, credentials, subscription rules
+  // and sync state (imported once from the old feeds.json by feeds.js)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS feeds (
+      name TEXT PRIMARY KEY COLLATE NOCASE,
+      url TEXT NOT NULL,
+      title TEXT,
+      author TEXT,
+      itunes_id INTEGER,
+      tags TEXT NOT NULL DEFAULT '[]',
+      output_dir TEXT,
+      speakers TEXT,
+      subscription TEXT,
+      auth TEXT,
+      headers TEXT,
+      etag TEXT,
+      last_modified TEXT,
+      last_checked_at TEXT,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL
     )
   `);
 
@@ -100,6 +217,11 @@ function initializeSchema(db) {
   db.exec(`CREATE INDEX IF NOT EXISTS idx_transcripts_source_type ON transcripts(source_type)`);
   db.exec(`CREATE INDEX IF NOT EXISTS idx_transcripts_channel ON transcripts(channel)`);
   db.exec(`CREATE INDEX IF NOT EXISTS idx_transcripts_created_at ON transcripts(created_at)`);
+  db.exec(`CREATE INDEX IF NOT EXISTS idx_jobs_stage ON jobs(stage)`);
+  db.exec(`CREATE INDEX IF NOT EXISTS idx_costs_created_at ON costs(created_at)`);
+  db.exec(`CREATE INDEX IF NOT EXISTS idx_costs_transcript_id ON costs(transcript_id)`);
+  db.exec(`CREATE INDEX IF NOT EXISTS idx_speaker_appearances_channel ON speaker_appearances(channel)`);
+  db.exec(`CREATE INDEX IF NOT EXISTS idx_speaker_appearances_transcript ON speaker_appearances(transcript_id)`);
 
   // Migrate from v1 → v2: add content column
   const existing = db.prepare('SELECT value FROM metadata WHERE key = ?').get('db_version');
@@ -110,6 +232,88 @@ function initializeSchema(db) {
     }
   }
 
+  // Migrate from v3 → v4: add format + full_text columns (utterances table created above)
+  if (existing && Number(existing.value) < 4) {
+    const columns = db.pragma('table_info(transcripts)').map(c => c.name);
+    if (!columns.includes('format')) {
+      db.exec('ALTER TABLE transcripts ADD COLUMN format TEXT');
+    }
+    if (!columns.includes('full_text')) {
+      db.exec('ALTER TABLE transcripts ADD COLUMN full_text TEXT');
+    }
+  }
+
+  // Migrate from v5 → v6: add provider column (transcripts before v6 are AssemblyAI)
+  if (existing && Number(existing.value) < 6) {
+    const columns = db.pragma('table_info(transcripts)').map(c => c.name);
+    if (!columns.includes('provider')) {
+      db.exec('ALTER TABLE transcripts ADD COLUMN provider TEXT');
+      db.exec("UPDATE transcripts SET provider = 'assemblyai'");
+    }
+  }
+
+  // Migrate from v7 → v8: add summary column (JSON: tldr, keyPoints, chapters)
+  if (existing && Number(existing.value) < 8) {
+    const columns = db.pragma('table_info(transcripts)').map(c => c.name);
+    if (!columns.includes('summary')) {
+      db.exec('ALTER TABLE transcripts ADD COLUMN summary TEXT');
+    }
+  }
+
+  // Migrate from v9 → v10: add transcription_options column (JSON: language, word boost, ...)
+  if (existing && Number(existing.value) < 10) {
+    const columns = db.pragma('table_info(transcripts)').map(c => c.name);
+    if (!columns.includes('transcription_options')) {
+      db.exec('ALTER TABLE transcripts ADD COLUMN transcription_options TEXT');
+    }
+  }
+
+  // Migrate from v10 → v11: add glossary_replacements column
+  if (existing && Number(existing.value) < 11) {
+    const columns = db.pragma('table_info(transcripts)').map(c => c.name);
+    if (!columns.includes('glossary_replacements')) {
+      db.exec('ALTER TABLE transcripts ADD COLUMN glossary_replacements INTEGER');
+    }
+  }
+
+  // Migrate from v11 → v12: add audio_path column (--keep-audio)
+  if (existing && Number(existing.value) < 12) {
+    const columns = db.pragma('table_info(transcripts)').map(c => c.name);
+    if (!columns.includes('audio_path')) {
+      db.exec('ALTER TABLE transcripts ADD COLUMN audio_path TEXT');
+    }
+  }
+
+  // Migrate from v12 → v13: add file_hash + original_filename (local file dedup)
+  if (existing && Number(existing.value) < 13) {
+    const columns = db.pragma('table_info(transcripts)').map(c => c.name);
+    if (!columns.includes('file_hash')) {
+      db.exec('ALTER TABLE transcripts ADD COLUMN file_hash TEXT');
+    }
+    if (!columns.includes('original_filename')) {
+      db.exec('ALTER TABLE transcripts ADD COLUMN original_filename TEXT');
+    }
+  }
+  db.exec(`CREATE INDEX IF NOT EXISTS idx_transcripts_file_hash ON transcripts(file_hash)`);
+
+  // Full-text index over title, channel and rendered content (standalone FTS5
+  // table keyed by transcript ID — kept in sync by saveTranscript)
+  db.exec(`
+    CREATE VIRTUAL TABLE IF NOT EXISTS transcripts_fts USING fts5(
+      id UNINDEXED,
+      title,
+      channel,
+      content,
+      tokenize = 'porter unicode61'
+    )
+  `);
+
+  // Migrate from v2 → v3: backfill the full-text index
+  if (existing && Number(existing.value) < 3) {
+    db.exec('DELETE FROM transcripts_fts');
+    db.exec('INSERT INTO transcripts_fts (id, title, channel, content) SELECT id, title, channel, content FROM transcripts');
+  }
+
   // Set or update schema version
   db.prepare('INSERT OR REPLACE INTO metadata (key, value) VALUES (?, ?)').run('db_version', String(DATABASE_VERSION));
 }
@@ -129,6 +333,25 @@ export function findBySourceUrl(dataDir, url) {
   return db.prepare('SELECT id, title, created_at FROM transcripts WHERE source_url = ?').get(url) || null;
 }
 
+/**
+ * Find an existing transcript by the content hash of its local audio file.
+ * Only transcripts of the same --start/--end range match, so other segments
+ * of one recording aren't duplicates.
+ * @param {string} dataDir - Data directory path
+ * @param {string} fileHash - SHA-256 of the audio file
+ * @param {Object} [range] - { start, end } in seconds; omitted or null for the whole file
+ * @returns {Object|null} Transcript record or null
+ */
+export function findByFileHash(dataDir, fileHash, { start = null, end = null } = {}) {
+  const db = getDb(dataDir);
+  return db.prepare(`
+    SELECT id, title, original_filename, created_at FROM transcripts
+    WHERE file_hash = ?
+      AND json_extract(transcription_options, '$.preprocessing.start') IS ?
+      AND json_extract(transcription_options, '$.preprocessing.end') IS ?
+  `).get(fileHash, start, end) || null;
+}
+
 /**
  * List transcripts with optional filters
  * @param {string} dataDir - Data directory path
@@ -155,16 +378,49 @@ export function listTranscripts(dataDir, { channel, speaker, limit = 20, sourceT
   }
 
   const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
-  const sql = `SELECT title, channel, source_type, duration_seconds, created_at FROM transcripts ${where} ORDER BY created_at DESC LIMIT ?`;
+  const sql = `SELECT id, title, channel, source_type, duration_seconds, created_at FROM transcripts ${where} ORDER BY created_at DESC LIMIT ?`;
   params.push(limit);
 
   return db.prepare(sql).all(...params);
 }
 
 /**
- * Find a transcript by query — matches source_url, AssemblyAI ID, or title (LIKE)
+ * List transcripts that have no summary yet (oldest first, for backfilling).
+ * Only transcripts with stored utterances can be summarized, so the rest are left out.
  * @param {string} dataDir - Data directory path
- * @param {string} query - URL, transcript ID, or title keyword
+ * @param {Object} options - { limit }
+ * @returns {Array} Array of full transcript records
+ */
+export function listUnsummarized(dataDir, { limit = 20 } = {}) {
+  const db = getDb(dataDir);
+  return db.prepare(`
+    SELECT * FROM transcripts
+    WHERE summary IS NULL
+      AND EXISTS (SELECT 1 FROM utterances u WHERE u.transcript_id = transcripts.id)
+    ORDER BY created_at ASC LIMIT ?
+  `).all(limit);
+}
+
+/**
+ * Count transcripts without a summary that listUnsummarized leaves out
+ * because they have no stored utterances (saved before structured storage)
+ * @param {string} dataDir - Data directory path
+ * @returns {number} Count
+ */
+export function countUnsummarizable(dataDir) {
+  const db = getDb(dataDir);
+  return db.prepare(`
+    SELECT COUNT(*) AS n FROM transcripts
+    WHERE summary IS NULL
+      AND NOT EXISTS (SELECT 1 FROM utterances u WHERE u.transcript_id = transcripts.id)
+  `).get().n;
+}
+
+/**
+ * Find a transcript by query — matches AssemblyAI ID, source_url, audio file
+ * hash (full or 8+ character prefix), original filename, or title (LIKE)
+ * @param {string} dataDir - Data directory path
+ * @param {string} query - URL, transcript ID, file hash, filename, or title keyword
  * @returns {Object|null} Full transcript record or null
  */
 export function findTranscript(dataDir, query) {
@@ -178,6 +434,14 @@ export function findTranscript(dataDir, query) {
   const byUrl = db.prepare('SELECT * FROM transcripts WHERE source_url = ? OR source_url LIKE ?').get(query, `%${query}%`);
   if (byUrl) return byUrl;
 
+  // Try local file hash (e.g. from `sha256sum`) or original filename
+  if (/^[0-9a-f]{8,64}$/i.test(query)) {
+    const byHash = db.prepare('SELECT * FROM transcripts WHERE file_hash LIKE ? ORDER BY created_at DESC LIMIT 1').get(`${query.toLowerCase()}%`);
+    if (byHash) return byHash;
+  }
+  const byFilename = db.prepare('SELECT * FROM transcripts WHERE original_filename = ? COLLATE NOCASE ORDER BY created_at DESC LIMIT 1').get(query);
+  if (byFilename) return byFilename;
+
   // Try title keyword match
   const byTitle = db.prepare('SELECT * FROM transcripts WHERE title LIKE ? ORDER BY created_at DESC LIMIT 1').get(`%${query}%`);
   if (byTitle) return byTitle;
@@ -185,6 +449,45 @@ export function findTranscript(dataDir, query) {
   return null;
 }
 
+/**
+ * Convert free-form search terms into an FTS5 query.
+ * Each term is quoted so punctuation (e.g. "gpt-5", "c++") can't break the
+ * query syntax; terms are implicitly AND-ed.
+ * @param {string} terms - User search terms
+ * @returns {string} FTS5 MATCH expression
+ */
+function toFtsQuery(terms) {
+  return terms
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(t => `"${t.replace(/"/g, '""')}"`)
+    .join(' ');
+}
+
+/**
+ * Full-text search over stored transcripts, ranked by relevance
+ * @param {string} dataDir - Data directory path
+ * @param {string} terms - Search terms (all must match)
+ * @param {Object} options - { limit, highlight: [open, close] markers }
+ * @returns {Array} Array of { id, title, channel, created_at, snippet, content }
+ */
+export function searchTranscripts(dataDir, terms, { limit = 20, highlight = ['«', '»'] } = {}) {
+  const db = getDb(dataDir);
+  const query = toFtsQuery(terms);
+  if (!query) return [];
+
+  const [open, close] = highlight;
+  return db.prepare(`
+    SELECT t.id, t.title, t.channel, t.created_at, t.content,
+           snippet(transcripts_fts, 3, ?, ?, '…', 16) AS snippet
+    FROM transcripts_fts
+    JOIN transcripts t ON t.id = transcripts_fts.id
+    WHERE transcripts_fts MATCH ?
+    ORDER BY bm25(transcripts_fts)
+    LIMIT ?
+  `).all(open, close, query, limit);
+}
+
 // ============================================================================
 // Transcript Storage
 // ============================================================================
@@ -201,27 +504,648 @@ export function saveTranscript(dataDir, record) {
     INSERT OR REPLACE INTO transcripts (
       id, source_url, source_type, title, description,
       channel, channel_url, duration_seconds, speakers,
-      file_path, created_at, raw_metadata, content
+      file_path, created_at, raw_metadata, content, format, full_text, provider, summary,
+      transcription_options, glossary_replacements, audio_path, file_hash, original_filename
     ) VALUES (
       @id, @source_url, @source_type, @title, @description,
       @channel, @channel_url, @duration_seconds, @speakers,
-      @file_path, @created_at, @raw_metadata, @content
+      @file_path, @created_at, @raw_metadata, @content, @format, @full_text, @provider, @summary,
+      @transcription_options, @glossary_replacements, @audio_path, @file_hash, @original_filename
     )
   `);
 
-  stmt.run({
-    id: record.id,
-    source_url: record.source_url ?? null,
-    source_type: record.source_type,
-    title: record.title ?? null,
-    description: record.description ?? null,
-    channel: record.channel ?? null,
-    channel_url: record.channel_url ?? null,
-    duration_seconds: record.duration_seconds ?? null,
-    speakers: record.speakers ?? null,
-    file_path: record.file_path ?? null,
-    created_at: record.created_at,
-    raw_metadata: record.raw_metadata ?? null,
-    content: record.content ?? null,
+  const ftsDelete = db.prepare('DELETE FROM transcripts_fts WHERE id = ?');
+  const ftsInsert = db.prepare('INSERT INTO transcripts_fts (id, title, channel, content) VALUES (?, ?, ?, ?)');
+
+  const save = db.transaction(() => {
+    stmt.run({
+      id: record.id,
+      source_url: record.source_url ?? null,
+      source_type: record.source_type,
+      title: record.title ?? null,
+      description: record.description ?? null,
+      channel: record.channel ?? null,
+      channel_url: record.channel_url ?? null,
+      duration_seconds: record.duration_seconds ?? null,
+      speakers: record.speakers ?? null,
+      file_path: record.file_path ?? null,
+      created_at: record.created_at,
+      raw_metadata: record.raw_metadata ?? null,
+      content: record.content ?? null,
+      format: record.format ?? null,
+      full_text: record.full_text ?? null,
+      provider: record.provider ?? null,
+      summary: record.summary ?? null,
+      transcription_options: record.transcription_options ?? null,
+      glossary_replacements: record.glossary_replacements ?? null,
+      audio_path: record.audio_path ?? null,
+      file_hash: record.file_hash ?? null,
+      original_filename: record.original_filename ?? null,
+    });
+    ftsDelete.run(record.id);
+    ftsInsert.run(record.id, record.title ?? null, record.channel ?? null, record.content ?? null);
+  });
+
+  save();
+}
+
+// ============================================================================
+// Utterance Storage
+// ============================================================================
+
+/**
+ * Replace the stored utterances for a transcript
+ * @param {string} dataDir - Data directory path
+ * @param {string} transcriptId - Transcript ID
+ * @param {Array} utterances - Array of { speaker, text, start, end } with original speaker labels
+ * @param {Array} speakerMapping - Array of { label, name } objects (may be empty)
+ */
+export function saveUtterances(dataDir, transcriptId, utterances, speakerMapping = []) {
+  const db = getDb(dataDir);
+
+  const nameMap = {};
+  for (const { label, name } of speakerMapping) {
+    nameMap[label] = name;
+  }
+
+  const remove = db.prepare('DELETE FROM utterances WHERE transcript_id = ?');
+  const insert = db.prepare(`
+    INSERT INTO utterances (transcript_id, idx, speaker_label, speaker_name, text, start_ms, end_ms)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `);
+
+  const save = db.transaction(() => {
+    remove.run(transcriptId);
+    utterances.forEach((u, i) => {
+      const label = u.speaker ?? null;
+      insert.run(transcriptId, i, label, nameMap[label] || label, u.text, u.start ?? null, u.end ?? null);
+    });
+  });
+
+  save();
+}
+
+/**
+ * Get stored utterances for a transcript, in order
+ * @param {string} dataDir - Data directory path
+ * @param {string} transcriptId - Transcript ID
+ * @returns {Array} Array of { speaker (mapped name), label, text, start, end }
+ */
+export function getUtterances(dataDir, transcriptId) {
+  const db = getDb(dataDir);
+  return db.prepare(`
+    SELECT speaker_name AS speaker, speaker_label AS label, text, start_ms AS start, end_ms AS "end"
+    FROM utterances WHERE transcript_id = ? ORDER BY idx
+  `).all(transcriptId);
+}
+
+// ============================================================================
+// Job Tracking
+// ============================================================================
+
+/**
+ * Parse JSON columns on a job row
+ * @param {Object|undefined} row - Raw jobs row
+ * @returns {Object|null} Job with options/state as objects
+ */
+function toJob(row) {
+  if (!row) return null;
+  return {
+    ...row,
+    options: JSON.parse(row.options),
+    state: row.state ? JSON.parse(row.state) : {},
+  };
+}
+
+/**
+ * Create a pipeline job at the 'pending' stage
+ * @param {string} dataDir - Data directory path
+ * @param {Object} job - { input, options }
+ * @returns {Object} Created job
+ */
+export function createJob(dataDir, { input, options }) {
+  const db = getDb(dataDir);
+  const now = new Date().toISOString();
+  const id = randomBytes(4).toString('hex');
+
+  db.prepare(`
+    INSERT INTO jobs (id, input, options, stage, created_at, updated_at)
+    VALUES (?, ?, ?, 'pending', ?, ?)
+  `).run(id, input, JSON.stringify(options), now, now);
+
+  return getJob(dataDir, id);
+}
+
+/**
+ * Update a job's stage and/or fields
+ * @param {string} dataDir - Data directory path
+ * @param {string} id - Job ID
+ * @param {Object} fields - Any of { input, stage, transcript_id, state, error }
+ * @returns {Object} Updated job
+ */
+export function updateJob(dataDir, id, fields) {
+  const db = getDb(dataDir);
+
+  const sets = ['updated_at = @updated_at'];
+  const params = { id, updated_at: new Date().toISOString() };
+  for (const key of ['input', 'stage', 'transcript_id', 'state', 'error']) {
+    if (key in fields) {
+      sets.push(`${key} = @${key}`);
+      params[key] = key === 'state' ? JSON.stringify(fields.state) : fields[key];
+    }
+  }
+
+  db.prepare(`UPDATE jobs SET ${sets.join(', ')} WHERE id = @id`).run(params);
+  return getJob(dataDir, id);
+}
+
+/**
+ * Get a job by ID
+ * @param {string} dataDir - Data directory path
+ * @param {string} id - Job ID
+ * @returns {Object|null} Job or null
+ */
+export function getJob(dataDir, id) {
+  const db = getDb(dataDir);
+  return toJob(db.prepare('SELECT * FROM jobs WHERE id = ?').get(id));
+}
+
+/**
+ * List jobs, most recently updated first
+ * @param {string} dataDir - Data directory path
+ * @param {Object} filters - { incomplete: only jobs not yet saved, limit }
+ * @returns {Array} Array of jobs
+ */
+export function listJobs(dataDir, { incomplete = false, limit = 20 } = {}) {
+  const db = getDb(dataDir);
+  const where = incomplete ? "WHERE stage != 'saved'" : '';
+  return db.prepare(`SELECT * FROM jobs ${where} ORDER BY updated_at DESC LIMIT ?`).all(limit).map(toJob);
+}
+
+// ============================================================================
+// Cost Ledger
+// ============================================================================
+
+/** Grouping expressions for cost reports (costs c LEFT JOIN transcripts t) */
+const COST_GROUPS = {
+  month: "substr(c.created_at, 1, 7)",
+  channel: "COALESCE(c.channel, t.channel, '(none)')",
+  command: "COALESCE(c.command, '(none)')",
+  model: "c.provider || ':' || COALESCE(c.model, '?')",
+  transcript: "COALESCE(t.title, c.transcript_id, '(none)')",
+};
+
+export const COST_GROUP_BY = Object.keys(COST_GROUPS);
+
+/**
+ * Record one billed API call in the cost ledger
+ * @param {string} dataDir - Data directory path
+ * @param {Object} entry - { transcriptId, command, channel, provider, model, kind,
+ *   inputTokens, outputTokens, audioSeconds, cost }
+ */
+export function recordCost(dataDir, entry) {
+  const db = getDb(dataDir);
+  db.prepare(`
+    INSERT INTO costs (
+      created_at, transcript_id, command, channel, provider, model, kind,
+      input_tokens, output_tokens, audio_seconds, cost_usd
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    new Date().toISOString(),
+    entry.transcriptId ?? null,
+    entry.command ?? null,
+    entry.channel ?? null,
+    entry.provider,
+    entry.model ?? null,
+    entry.kind,
+    entry.inputTokens ?? null,
+    entry.outputTokens ?? null,
+    entry.audioSeconds ?? null,
+    entry.cost ?? null
+  );
+}
+
+/**
+ * Summarize spend grouped by month, channel, command, model or transcript
+ * @param {string} dataDir - Data directory path
+ * @param {Object} options - { groupBy, since (YYYY-MM-DD), channel (partial match) }
+ * @returns {Array} Array of { grp, calls, audio_seconds, tokens, cost, unpriced }
+ */
+export function getCostSummary(dataDir, { groupBy = 'month', since, channel } = {}) {
+  const db = getDb(dataDir);
+  const group = COST_GROUPS[groupBy];
+  if (!group) throw new Error(`Invalid cost grouping: ${groupBy} (use ${COST_GROUP_BY.join(', ')})`);
+
+  const conditions = [];
+  const params = [];
+  if (since) {
+    conditions.push('c.created_at >= ?');
+    params.push(since);
+  }
+  if (channel) {
+    conditions.push('COALESCE(c.channel, t.channel) LIKE ?');
+    params.push(`%${channel}%`);
+  }
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  return db.prepare(`
+    SELECT ${group} AS grp,
+           COUNT(*) AS calls,
+           COALESCE(SUM(c.audio_seconds), 0) AS audio_seconds,
+           COALESCE(SUM(c.input_tokens), 0) + COALESCE(SUM(c.output_tokens), 0) AS tokens,
+           COALESCE(SUM(c.cost_usd), 0) AS cost,
+           SUM(CASE WHEN c.cost_usd IS NULL THEN 1 ELSE 0 END) AS unpriced
+    FROM costs c
+    LEFT JOIN transcripts t ON t.id = c.transcript_id
+    ${where}
+    GROUP BY grp
+    ORDER BY ${groupBy === 'month' ? 'grp DESC' : 'cost DESC'}
+  `).all(...params);
+}
+
+// ============================================================================
+// Speaker Registry
+// ============================================================================
+
+// Diarization labels ("A", "Speaker B") and generic roles mean the model could not name the speaker
+const UNNAMED_SPEAKER = /^(speaker\s+\w+|[a-z]|host|co-?host|guest|interviewer|narrator|unknown.*)$/i;
+
+function toSpeaker(row) {
+  return { ...row, aliases: JSON.parse(row.aliases) };
+}
+
+/**
+ * Find a registered speaker by name or alias (case-insensitive)
+ * @param {string} dataDir - Data directory path
+ * @param {string} nameOrAlias - Speaker name or one of its aliases
+ * @returns {Object|null} { id, name, aliases, notes, created_at, updated_at } or null
+ */
+export function findSpeaker(dataDir, nameOrAlias) {
+  const db = getDb(dataDir);
+  const byName = db.prepare('SELECT * FROM speakers WHERE name = ?').get(nameOrAlias);
+  if (byName) return toSpeaker(byName);
+
+  const needle = nameOrAlias.toLowerCase();
+  const byAlias = db.prepare('SELECT * FROM speakers').all()
+    .map(toSpeaker)
+    .find(sp => sp.aliases.some(a => a.toLowerCase() === needle));
+  return byAlias || null;
+}
+
+/**
+ * Record the people identified in a transcript. Unnamed labels and
+ * low-confidence guesses are skipped; names matching an alias count toward
+ * that speaker. Re-recording a transcript replaces its previous appearances.
+ * @param {string} dataDir - Data directory path
+ * @param {string} transcriptId - Transcript ID
+ * @param {string|null} channel - Channel/show name
+ * @param {Array} speakerMapping - Array of { label, name, confidence }
+ * @returns {Array<string>} Registry names recorded
+ */
+export function recordSpeakers(dataDir, transcriptId, channel, speakerMapping = []) {
+  const db = getDb(dataDir);
+  const now = new Date().toISOString();
+
+  const insertSpeaker = db.prepare('INSERT INTO speakers (name, created_at, updated_at) VALUES (?, ?, ?)');
+  const clear = db.prepare('DELETE FROM speaker_appearances WHERE transcript_id = ?');
+  const appear = db.prepare(`
+    INSERT OR IGNORE INTO speaker_appearances (speaker_id, transcript_id, channel, seen_at)
+    VALUES (?, ?, ?, ?)
+  `);
+
+  const recorded = [];
+  const save = db.transaction(() => {
+    clear.run(transcriptId);
+    for (const { label, name, confidence } of speakerMapping) {
+      if (!name || name === label || UNNAMED_SPEAKER.test(name) || confidence === 'low') continue;
+
+      let speaker = findSpeaker(dataDir, name);
+      if (!speaker) {
+        const { lastInsertRowid } = insertSpeaker.run(name, now, now);
+        speaker = { id: Number(lastInsertRowid), name };
+      }
+      appear.run(speaker.id, transcriptId, channel ?? null, now);
+      recorded.push(speaker.name);
+    }
   });
+
+  save();
+  return recorded;
+}
+
+/**
+ * List registered speakers with appearance counts and channels
+ * @param {string} dataDir - Data directory path
+ * @param {Object} filters - { channel (LIKE), limit }
+ * @returns {Array} Array of { id, name, aliases, notes, appearances, last_seen, channels: [{ channel, count }] }
+ */
+export function listSpeakers(dataDir, { channel, limit = 50 } = {}) {
+  const db = getDb(dataDir);
+
+  const where = channel
+    ? 'WHERE s.id IN (SELECT speaker_id FROM speaker_appearances WHERE channel LIKE ?)'
+    : '';
+  const params = channel ? [`%${channel}%`, limit] : [limit];
+  const rows = db.prepare(`
+    SELECT s.*, COUNT(a.transcript_id) AS appearances, MAX(a.seen_at) AS last_seen
+    FROM speakers s
+    LEFT JOIN speaker_appearances a ON a.speaker_id = s.id
+    ${where}
+    GROUP BY s.id
+    ORDER BY appearances DESC, s.name
+    LIMIT ?
+  `).all(...params);
+
+  const channelsFor = db.prepare(`
+    SELECT channel, COUNT(*) AS count FROM speaker_appearances
+    WHERE speaker_id = ? AND channel IS NOT NULL
+    GROUP BY channel ORDER BY count DESC
+  `);
+  return rows.map(row => ({ ...toSpeaker(row), channels: channelsFor.all(row.id) }));
+}
+
+/**
+ * Recurring speakers on a channel, most frequent first
+ * @param {string} dataDir - Data directory path
+ * @param {string} channel - Channel/show name (exact)
+ * @param {Object} options - { minAppearances, limit, excludeTranscriptId }
+ *   excludeTranscriptId leaves out a transcript being re-identified, so its
+ *   earlier guess isn't fed back as a known speaker
+ * @returns {{ total: number, speakers: Array<{ name: string, appearances: number }> }}
+ *   total is the number of transcripts on the channel with any identified speaker
+ */
+export function getChannelRegulars(dataDir, channel, { minAppearances = 2, limit = 5, excludeTranscriptId = null } = {}) {
+  const db = getDb(dataDir);
+  const { total } = db.prepare(
+    'SELECT COUNT(DISTINCT transcript_id) AS total FROM speaker_appearances WHERE channel = ? AND transcript_id IS NOT ?'
+  ).get(channel, excludeTranscriptId);
+  const speakers = db.prepare(`
+    SELECT s.name, COUNT(*) AS appearances
+    FROM speaker_appearances a JOIN speakers s ON s.id = a.speaker_id
+    WHERE a.channel = ? AND a.transcript_id IS NOT ?
+    GROUP BY s.id
+    HAVING appearances >= ?
+    ORDER BY appearances DESC
+    LIMIT ?
+  `).all(channel, excludeTranscriptId, minAppearances, limit);
+  return { total, speakers };
+}
+
+/**
+ * Update a speaker's name, aliases or notes
+ * @param {string} dataDir - Data directory path
+ * @param {string} nameOrAlias - Speaker to update
+ * @param {Object} changes - { name, addAliases, removeAliases, notes }
+ * @returns {Object|null} Updated speaker, or null if not found
+ */
+export function updateSpeaker(dataDir, nameOrAlias, { name, addAliases = [], removeAliases = [], notes } = {}) {
+  const db = getDb(dataDir);
+  const speaker = findSpeaker(dataDir, nameOrAlias);
+  if (!speaker) return null;
+
+  if (name && name.toLowerCase() !== speaker.name.toLowerCase()) {
+    const taken = findSpeaker(dataDir, name);
+    if (taken && taken.id !== speaker.id) {
+      throw new Error(`Speaker "${taken.name}" already exists — use speakers merge instead`);
+    }
+  }
+
+  const removed = new Set(removeAliases.map(a => a.toLowerCase()));
+  const aliases = [...speaker.aliases, ...addAliases]
+    .filter(a => !removed.has(a.toLowerCase()))
+    .filter((a, i, all) => all.findIndex(b => b.toLowerCase() === a.toLowerCase()) === i);
+
+  db.prepare('UPDATE speakers SET name = ?, aliases = ?, notes = ?, updated_at = ? WHERE id = ?').run(
+    name || speaker.name,
+    JSON.stringify(aliases),
+    notes !== undefined ? notes : speaker.notes,
+    new Date().toISOString(),
+    speaker.id,
+  );
+  return toSpeaker(db.prepare('SELECT * FROM speakers WHERE id = ?').get(speaker.id));
+}
+
+/**
+ * Merge one speaker into another: appearances move over and the merged
+ * speaker's name and aliases become aliases of the target.
+ * @param {string} dataDir - Data directory path
+ * @param {string} from - Speaker to merge away (name or alias)
+ * @param {string} into - Speaker to keep (name or alias)
+ * @returns {Object} The updated target speaker
+ */
+export function mergeSpeakers(dataDir, from, into) {
+  const db = getDb(dataDir);
+  const source = findSpeaker(dataDir, from);
+  const target = findSpeaker(dataDir, into);
+  if (!source) throw new Error(`Speaker "${from}" not found`);
+  if (!target) throw new Error(`Speaker "${into}" not found`);
+  if (source.id === target.id) throw new Error(`"${from}" and "${into}" are already the same speaker`);
+
+  const merge = db.transaction(() => {
+    db.prepare(`
+      INSERT OR IGNORE INTO speaker_appearances (speaker_id, transcript_id, channel, seen_at)
+      SELECT ?, transcript_id, channel, seen_at FROM speaker_appearances WHERE speaker_id = ?
+    `).run(target.id, source.id);
+    db.prepare('DELETE FROM speaker_appearances WHERE speaker_id = ?').run(source.id);
+    db.prepare('DELETE FROM speakers WHERE id = ?').run(source.id);
+  });
+  merge();
+
+  return updateSpeaker(dataDir, target.name, { addAliases: [source.name, ...source.aliases] });
+}
+
+/**
+ * Delete a speaker and its appearances
+ * @param {string} dataDir - Data directory path
+ * @param {string} nameOrAlias - Speaker to delete
+ * @returns {boolean} True if a speaker was deleted
+ */
+export function deleteSpeaker(dataDir, nameOrAlias) {
+  const db = getDb(dataDir);
+  const speaker = findSpeaker(dataDir, nameOrAlias);
+  if (!speaker) return false;
+
+  const remove = db.transaction(() => {
+    db.prepare('DELETE FROM speaker_appearances WHERE speaker_id = ?').run(speaker.id);
+    db.prepare('DELETE FROM speakers WHERE id = ?').run(speaker.id);
+  });
+  remove();
+  return true;
+}
+
+// ============================================================================
+// Glossary
+// ============================================================================
+
+/** Scope whose entries apply to every transcript */
+export const GLOBAL_GLOSSARY_SCOPE = 'global';
+
+/**
+ * Add or replace a glossary entry
+ * @param {string} dataDir - Data directory path
+ * @param {string} scope - Channel name, feed name, or GLOBAL_GLOSSARY_SCOPE
+ * @param {string} term - Mis-heard spelling to replace (whole word/phrase, case-insensitive)
+ * @param {string} replacement - Correct spelling
+ */
+export function setGlossaryEntry(dataDir, scope, term, replacement) {
+  const db = getDb(dataDir);
+  db.prepare(`
+    INSERT INTO glossary (scope, term, replacement, created_at) VALUES (?, ?, ?, ?)
+    ON CONFLICT (scope, term) DO UPDATE SET replacement = excluded.replacement
+  `).run(scope, term, replacement, new Date().toISOString());
+}
+
+/**
+ * Remove a glossary entry
+ * @param {string} dataDir - Data directory path
+ * @param {string} scope - Entry scope
+ * @param {string} term - Entry term
+ * @returns {boolean} True if an entry was removed
+ */
+export function removeGlossaryEntry(dataDir, scope, term) {
+  const db = getDb(dataDir);
+  return db.prepare('DELETE FROM glossary WHERE scope = ? AND term = ?').run(scope, term).changes > 0;
+}
+
+/**
+ * List glossary entries
+ * @param {string} dataDir - Data directory path
+ * @param {Object} filters - { scopes: only entries in these scopes }
+ * @returns {Array} Array of { scope, term, replacement, created_at }
+ */
+export function listGlossary(dataDir, { scopes } = {}) {
+  const db = getDb(dataDir);
+  if (!scopes) {
+    return db.prepare('SELECT * FROM glossary ORDER BY scope, term').all();
+  }
+  const wanted = scopes.filter(Boolean);
+  if (wanted.length === 0) return [];
+  return db.prepare(`SELECT * FROM glossary WHERE scope IN (${wanted.map(() => '?').join(', ')}) ORDER BY scope, term`)
+    .all(...wanted);
+}
+
+/**
+ * Transcripts where the glossary corrected something, most recent first
+ * @param {string} dataDir - Data directory path
+ * @param {Object} options - { limit }
+ * @returns {Array} Array of { id, title, channel, glossary_replacements, created_at }
+ */
+export function listGlossaryReplacements(dataDir, { limit = 20 } = {}) {
+  const db = getDb(dataDir);
+  return db.prepare(`
+    SELECT id, title, channel, glossary_replacements, created_at FROM transcripts
+    WHERE glossary_replacements > 0
+    ORDER BY created_at DESC
+    LIMIT ?
+  `).all(limit);
+}
+
+// ============================================================================
+// Saved Feeds
+// ============================================================================
+
+/** Feed columns stored as JSON */
+const FEED_JSON_COLUMNS = ['tags', 'subscription', 'auth', 'headers'];
+
+/** Feed columns saveFeed may set */
+const FEED_COLUMNS = [
+  'url', 'title', 'author', 'itunes_id', 'tags', 'output_dir', 'speakers',
+  'subscription', 'auth', 'headers', 'etag', 'last_modified', 'last_checked_at',
+];
+
+/**
+ * Parse JSON columns on a feed row
+ * @param {Object|undefined} row - Raw feeds row
+ * @returns {Object|null} Feed with tags/subscription/auth/headers as objects
+ */
+function toFeed(row) {
+  if (!row) return null;
+  return {
+    ...row,
+    tags: JSON.parse(row.tags),
+    subscription: row.subscription ? JSON.parse(row.subscription) : null,
+    auth: row.auth ? JSON.parse(row.auth) : null,
+    headers: row.headers ? JSON.parse(row.headers) : null,
+  };
+}
+
+/**
+ * Get a saved feed by name (case-insensitive)
+ * @param {string} dataDir - Data directory path
+ * @param {string} name - Feed name
+ * @returns {Object|null} Feed or null
+ */
+export function getFeed(dataDir, name) {
+  const db = getDb(dataDir);
+  return toFeed(db.prepare('SELECT * FROM feeds WHERE name = ?').get(name));
+}
+
+/**
+ * Create or update a saved feed. Only the given fields change. A new URL
+ * clears the stored ETag/Last-Modified (they belong to the old document), and
+ * so do new subscription rules — the next sync must re-read the whole feed,
+ * since older episodes may match the new rules.
+ * @param {string} dataDir - Data directory path
+ * @param {string} name - Feed name (stored lowercase)
+ * @param {Object} fields - Any of FEED_COLUMNS; url is required for new feeds
+ * @returns {Object} Saved feed
+ */
+export function saveFeed(dataDir, name, fields) {
+  const db = getDb(dataDir);
+  const key = name.toLowerCase();
+  const now = new Date().toISOString();
+  const existing = getFeed(dataDir, key);
+
+  const values = { ...fields };
+  const urlChanged = values.url && values.url !== existing?.url;
+  const rulesChanged = 'subscription' in values
+    && JSON.stringify(values.subscription ?? null) !== JSON.stringify(existing?.subscription ?? null);
+  if (existing && (urlChanged || rulesChanged)) {
+    values.etag = values.etag ?? null;
+    values.last_modified = values.last_modified ?? null;
+  }
+  const params = { name: key, updated_at: now };
+  const columns = FEED_COLUMNS.filter(col => col in values);
+  for (const col of columns) {
+    const value = values[col];
+    params[col] = FEED_JSON_COLUMNS.includes(col) && value != null ? JSON.stringify(value) : value ?? null;
+  }
+
+  if (existing) {
+    const sets = ['updated_at = @updated_at', ...columns.map(col => `${col} = @${col}`)];
+    db.prepare(`UPDATE feeds SET ${sets.join(', ')} WHERE name = @name`).run(params);
+  } else {
+    if (!values.url) throw new Error(`Feed "${key}" needs a URL`);
+    params.created_at = now;
+    params.tags = params.tags ?? '[]';
+    const insert = ['name', 'created_at', 'updated_at', ...new Set([...columns, 'tags'])];
+    db.prepare(`INSERT INTO feeds (${insert.join(', ')}) VALUES (${insert.map(col => `@${col}`).join(', ')})`).run(params);
+  }
+  return getFeed(dataDir, key);
+}
+
+/**
+ * Remove a saved feed
+ * @param {string} dataDir - Data directory path
+ * @param {string} name - Feed name
+ * @returns {boolean} True if a feed was removed
+ */
+export function removeFeed(dataDir, name) {
+  const db = getDb(dataDir);
+  return db.prepare('DELETE FROM feeds WHERE name = ?').run(name).changes > 0;
+}
+
+/**
+ * List saved feeds by name
+ * @param {string} dataDir - Data directory path
+ * @param {Object} filters - { subscribed: only feeds with a subscription, tag }
+ * @returns {Array} Array of feeds
+ */
+export function listFeeds(dataDir, { subscribed = false, tag } = {}) {
+  const db = getDb(dataDir);
+  const where = subscribed ? 'WHERE subscription IS NOT NULL' : '';
+  const feeds = db.prepare(`SELECT * FROM feeds ${where} ORDER BY name`).all().map(toFeed);
+  if (!tag) return feeds;
+  const wanted = tag.toLowerCase();
+  return feeds.filter(feed => feed.tags.some(t => t.toLowerCase() === wanted));
 }
@@ -11,7 +11,9 @@ import { extname } from 'path';
 
 export const SUPPORTED_FORMATS = ['.mp3', '.m4a', '.wav', '.flac', '.ogg', '.wma', '.aac', '.mp4', '.webm'];
 
-export const VALID_OUTPUT_FORMATS = ['markdown', 'text', 'json'];
+export const VALID_OUTPUT_FORMATS = ['markdown', 'text', 'json', 'srt', 'vtt'];
+
+export const BOOST_PARAMS = ['low', 'default', 'high'];
 
 // ============================================================================
 // Validation Functions
@@ -55,3 +57,55 @@ export function validateOutputFormat(format) {
   }
   return normalized;
 }
+
+/**
+ * Parse --custom-spelling values of the form "from[,from2...]=to"
+ * (e.g. "clod code,cloud code=Claude Code")
+ * @param {Array<string>} values - Raw option values
+ * @returns {Array<{from: string[], to: string}>} Custom spelling rules
+ */
+export function parseCustomSpelling(values = []) {
+  return values.map(value => {
+    const eq = value.lastIndexOf('=');
+    const from = eq > 0 ? value.slice(0, eq).split(',').map(f => f.trim()).filter(Boolean) : [];
+    const to = eq > 0 ? value.slice(eq + 1).trim() : '';
+    if (from.length === 0 || !to) {
+      throw new Error(`Invalid --custom-spelling "${value}"\nExpected: "from=to" or "from1,from2=to"`);
+    }
+    return { from, to };
+  });
+}
+
+/**
+ * Parse --header values of the form "Name: value" (e.g. "X-Api-Key: abc123")
+ * @param {Array<string>} values - Raw option values
+ * @returns {Object<string, string>} Header map
+ */
+export function parseHeaders(values = []) {
+  const headers = {};
+  for (const value of values) {
+    const colon = value.indexOf(':');
+    const name = colon > 0 ? value.slice(0, colon).trim() : '';
+    if (!/^[\w-]+$/.test(name)) {
+      throw new Error(`Invalid --header "${value}"\nExpected: "Name: value"`);
+    }
+    headers[name] = value.slice(colon + 1).trim();
+  }
+  return headers;
+}
+
+/**
+ * Parse a --start/--end time: seconds ("5400", "90.5"), M:SS ("90:00") or H:MM:SS ("1:30:00")
+ * @param {string|number} value - Raw option value
+ * @param {string} flag - Option name for the error message
+ * @returns {number} Seconds
+ */
+export function parseTimestamp(value, flag) {
+  const parts = String(value).trim().split(':');
+  const valid = parts.length <= 3 && parts.every(p => /^\d+(\.\d+)?$/.test(p))
+    && parts.slice(1).every(p => Number(p) < 60);
+  if (!valid) {
+    throw new Error(`Invalid ${flag} "${value}"\nExpected: seconds, M:SS or H:MM:SS (e.g. 1:45:00)`);
+  }
+  return parts.reduce((total, p) => total * 60 + Number(p), 0);
+}
@@ -0,0 +1,105 @@
+/**
+ * Folder watcher — polls a directory for new audio files and hands each one
+ * over once it has finished being written.
+ *
+ * Polls instead of using fs.watch: synced folders (iCloud, Dropbox, network
+ * shares) don't emit reliable change events, and a recorder may keep writing
+ * to a file for the whole meeting.
+ */
+
+import { readdirSync, statSync } from 'fs';
+import { join } from 'path';
+import { validateAudioFile } from './validators.js';
+
+/**
+ * List supported audio files directly inside a directory (no subfolders,
+ * no hidden/partial files such as ".meeting.m4a.icloud")
+ * @param {string} dir - Directory path
+ * @returns {Array<{ path: string, size: number, mtimeMs: number }>}
+ */
+function scanAudioFiles(dir) {
+  const files = [];
+  for (const entry of readdirSync(dir, { withFileTypes: true })) {
+    if (!entry.isFile() || entry.name.startsWith('.')) continue;
+    const path = join(dir, entry.name);
+    try {
+      validateAudioFile(path);
+      const { size, mtimeMs } = statSync(path);
+      files.push({ path, size, mtimeMs });
+    } catch {
+      // Unsupported extension, or removed between readdir and stat
+    }
+  }
+  return files;
+}
+
+/**
+ * Watch a directory and call onFile for each new audio file once its size and
+ * modification time have stopped changing. Files are handed over one at a
+ * time; the next poll starts after onFile resolves.
+ *
+ * A file counts as finished when it looks the same on two consecutive polls,
+ * or on the first poll if it hasn't been modified for a full interval
+ * (so files already in the folder at startup are picked up immediately).
+ *
+ * @param {string} dir - Directory to watch
+ * @param {Object} options
+ * @param {Function} options.onFile - async (path) => void; errors are logged, not rethrown
+ * @param {Function} [options.ignore] - (path) => boolean; skip files already handled
+ * @param {number} [options.interval=10000] - Poll interval in milliseconds
+ * @param {boolean} [options.once=false] - Scan once, process finished files, then stop
+ * @returns {Promise<{ stop: Function }>} Resolves after the first scan (or when done, with once)
+ */
+export async function watchFolder(dir, { onFile, ignore = () => false, interval = 10000, once = false }) {
+  const lastSeen = new Map();
+  const handled = new Set();
+  let timer = null;
+  let stopped = false;
+
+  async function poll() {
+    const now = Date.now();
+    const current = new Map();
+
+    for (const file of scanAudioFiles(dir)) {
+      if (handled.has(file.path) || ignore(file.path)) continue;
+      current.set(file.path, file);
+
+      const previous = lastSeen.get(file.path);
+      const unchanged = previous
+        ? previous.size === file.size && previous.mtimeMs === file.mtimeMs
+        : now - file.mtimeMs >= interval;
+      if (!unchanged || file.size === 0) continue;
+
+      handled.add(file.path);
+      current.delete(file.path);
+      try {
+        await onFile(file.path);
+      } catch (error) {
+        console.error(`❌ ${file.path}: ${error.message}`);
+      }
+      if (stopped) return;
+    }
+
+    lastSeen.clear();
+    for (const [path, file] of current) lastSeen.set(path, file);
+  }
+
+  async function loop() {
+    try {
+      await poll();
+    } catch (error) {
+      // A synced or network folder can vanish briefly — keep polling
+      console.error(`⚠️  Could not scan ${dir}: ${error.message}`);
+    }
+    if (!stopped) timer = setTimeout(loop, interval);
+  }
+
+  const stop = () => {
+    stopped = true;
+    if (timer) clearTimeout(timer);
+  };
+
+  await poll();
+  if (!once && !stopped) timer = setTimeout(loop, interval);
+  return { stop };
+}
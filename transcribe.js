@@ -5,18 +5,33 @@
  *
  * DESCRIPTION:
  *   Transcribes audio files or URLs (YouTube, podcasts, etc.) using AssemblyAI
- *   with speaker diarization, then identifies speakers using OpenAI structured
- *   output. Outputs Obsidian-friendly markdown, plain text, or JSON.
+ *   with speaker diarization (or a local Whisper backend), then identifies
+ *   speakers using OpenAI structured output. Outputs Obsidian-friendly
+ *   markdown, plain text, JSON, or SRT/WebVTT subtitles.
  *   Saves transcript metadata to SQLite at ../transcription-data/transcription.db.
  *
  * USAGE:
  *   node .scripts/transcription/transcribe.js transcribe <audio-file-or-url> [options]
  *   node .scripts/transcription/transcribe.js reidentify <query> [-s speakers] [--dry-run]
+ *   node .scripts/transcription/transcribe.js rename-speaker <query> <label-or-name> <new-name>
+ *   node .scripts/transcription/transcribe.js merge-speakers <query> <keep> <merge>
+ *   node .scripts/transcription/transcribe.js export <query> [-f format] [-o path]
+ *   node .scripts/transcription/transcribe.js summarize <query> | --all [-n limit]
  *   node .scripts/transcription/transcribe.js list [options]
+ *   node .scripts/transcription/transcribe.js search <terms..> [-n limit]
  *   node .scripts/transcription/transcribe.js podcast <query>
+ *   node .scripts/transcription/transcribe.js podcast subscribe <itunes-id> [name] [rules]
  *   node .scripts/transcription/transcribe.js episodes <id> [-n limit]
  *   node .scripts/transcription/transcribe.js feed <url-or-name> [-n limit]
  *   node .scripts/transcription/transcribe.js feed add|rm|list
+ *   node .scripts/transcription/transcribe.js feed subscribe|unsubscribe <name> [rules]
+ *   node .scripts/transcription/transcribe.js sync [name] [--dry-run] [--max-cost usd]
+ *   node .scripts/transcription/transcribe.js watch <dir> [-o output-dir] [-s speakers] [--after move|mark]
+ *   node .scripts/transcription/transcribe.js resume [job-id] [--list]
+ *   node .scripts/transcription/transcribe.js costs [--by month|channel|command|model|transcript]
+ *   node .scripts/transcription/transcribe.js speakers [list|merge|edit|rm] [args..]
+ *   node .scripts/transcription/transcribe.js glossary [list|add|rm|report] [args..]
+ *   node .scripts/transcription/transcribe.js serve [--port 8787] [--host 127.0.0.1]
  *
  * EXAMPLES:
  *   node .scripts/transcription/transcribe.js transcribe recording.mp3
@@ -25,10 +40,31 @@
  *   node .scripts/transcription/transcribe.js transcribe https://podcast-host.com/episode.mp3
  *   node .scripts/transcription/transcribe.js transcribe call.wav -o "Resources/Meetings/call.md"
  *   node .scripts/transcription/transcribe.js transcribe lecture.mp3 --no-diarize --format text
+ *   node .scripts/transcription/transcribe.js transcribe clip.mp4 --format srt -o "Clips/clip.srt"
+ *   node .scripts/transcription/transcribe.js transcribe board-meeting.m4a --provider whisper
+ *   node .scripts/transcription/transcribe.js transcribe panel.mp3 --speakers-expected 4 --word-boost Zapier Obsidian
+ *   node .scripts/transcription/transcribe.js transcribe interview.mp3 --language de --custom-spelling "zappier=Zapier"
+ *   node .scripts/transcription/transcribe.js transcribe https://youtube.com/watch?v=xxx --summarize
+ *   node .scripts/transcription/transcribe.js transcribe https://youtube.com/watch?v=xxx --estimate
+ *   node .scripts/transcription/transcribe.js transcribe https://youtube.com/watch?v=xxx --max-cost 1
+ *   node .scripts/transcription/transcribe.js transcribe https://youtube.com/watch?v=xxx --start 2:10:00 --end 2:55:00
+ *   node .scripts/transcription/transcribe.js transcribe "https://youtube.com/playlist?list=xxx" --playlist --output-dir "Resources/Lectures"
  *   node .scripts/transcription/transcribe.js reidentify "SwN0ozZHZfw" -s "Nick and Sarah"
+ *   node .scripts/transcription/transcribe.js rename-speaker "SwN0ozZHZfw" B "Sarah Chen"
+ *   node .scripts/transcription/transcribe.js merge-speakers "SwN0ozZHZfw" B D
+ *   node .scripts/transcription/transcribe.js export "SwN0ozZHZfw" -f srt -o "Clips/interview.srt"
+ *   node .scripts/transcription/transcribe.js summarize --all
  *   node .scripts/transcription/transcribe.js list --channel Dwarkesh -n 10
+ *   node .scripts/transcription/transcribe.js search "scaling laws"
+ *   node .scripts/transcription/transcribe.js podcast subscribe 1434243584 -k AI
  *   node .scripts/transcription/transcribe.js feed add stratechery "https://example.com/feed"
  *   node .scripts/transcription/transcribe.js feed stratechery -n 5
+ *   node .scripts/transcription/transcribe.js feed subscribe dwarkesh -k AI --max-duration 180 -s "Dwarkesh and guest"
+ *   node .scripts/transcription/transcribe.js sync
+ *   node .scripts/transcription/transcribe.js watch ~/Recordings -o "Resources/Meetings" -c "Team meetings"
+ *   node .scripts/transcription/transcribe.js speakers merge "Dwarkesh" "Dwarkesh Patel"
+ *   node .scripts/transcription/transcribe.js glossary add stratechery "Stratekery" "Stratechery"
+ *   node .scripts/transcription/transcribe.js serve --port 9000
  *
  * OUTPUT:
  *   - Metadata + content → ../transcription-data/transcription.db
@@ -43,23 +79,56 @@
 import dotenv from 'dotenv';
 import { fileURLToPath } from 'url';
 import { dirname, join, resolve, relative, basename, extname } from 'path';
-import { writeFileSync, mkdirSync, existsSync } from 'fs';
+import { writeFileSync, readFileSync, appendFileSync, renameSync, copyFileSync, statSync, mkdirSync, existsSync } from 'fs';
 import { buildCli } from './src/cli/config.js';
-import { createAssemblyAIClient } from './src/api/assemblyai.js';
-import { createOpenAIClient } from './src/api/openai.js';
-import { validateAudioFile } from './src/utils/validators.js';
-import { isUrl, isYouTubeUrl, downloadAudio } from './src/utils/downloader.js';
+import { createTranscriptionProvider, DEFAULT_PROVIDER } from './src/api/providers.js';
+import { createOpenAIClient, isLocalBaseUrl } from './src/api/openai.js';
+import { validateAudioFile, parseCustomSpelling, parseTimestamp, parseHeaders, VALID_OUTPUT_FORMATS } from './src/utils/validators.js';
+import { isUrl, isYouTubeUrl, downloadAudio, getMediaMetadata, getPlaylistEntries } from './src/utils/downloader.js';
+import { probeDuration, preprocessAudio, hashFile } from './src/utils/audio.js';
+import { createAudioCache, normalizeUrl } from './src/utils/cache.js';
+import { mapSpeakerNames, renderTranscript, printConsoleOutput } from './src/utils/formatters.js';
+import { applyGlossary } from './src/utils/glossary.js';
+import { watchFolder } from './src/utils/watcher.js';
 import {
-  mapSpeakerNames,
-  formatMarkdown,
-  formatText,
-  formatJson,
-  printConsoleOutput,
-} from './src/utils/formatters.js';
-import { saveTranscript, findBySourceUrl, findTranscript, listTranscripts } from './src/utils/storage.js';
-import { searchPodcasts, getEpisodes } from './src/api/itunes.js';
+  saveTranscript,
+  saveUtterances,
+  getUtterances,
+  findBySourceUrl,
+  findByFileHash,
+  findTranscript,
+  listTranscripts,
+  searchTranscripts,
+  listUnsummarized,
+  countUnsummarizable,
+  createJob,
+  updateJob,
+  getJob,
+  listJobs,
+  JOB_STAGES,
+  recordCost,
+  getCostSummary,
+  recordSpeakers,
+  listSpeakers,
+  getChannelRegulars,
+  updateSpeaker,
+  mergeSpeakers,
+  deleteSpeaker,
+  GLOBAL_GLOSSARY_SCOPE,
+  setGlossaryEntry,
+  removeGlossaryEntry,
+  listGlossary,
+  listGlossaryReplacements,
+  getFeed,
+  saveFeed,
+  removeFeed,
+  listFeeds,
+} from './src/utils/storage.js';
+import { searchPodcasts, lookupPodcast, getEpisodes } from './src/api/itunes.js';
 import { fetchFeed } from './src/api/rss.js';
-import { loadFeeds, addFeed, removeFeed, getFeedUrl } from './src/utils/feeds.js';
+import { PUBLISHER_TRANSCRIPT_FORMATS } from './src/api/publisher.js';
+import { createApiServer, httpError } from './src/server.js';
+import { importFeedsJson, feedRequestOptions, redactUrl, describeFeedAuth } from './src/utils/feeds.js';
 
 // ============================================================================
 // Environment Setup
@@ -75,27 +144,81 @@ const VAULT_ROOT = resolve(__dirname, '..', '..');
 // Data directory: sibling to vault, like readwise-data/
 const DATA_DIR = resolve(VAULT_ROOT, '..', 'transcription-data');
 
+// Downloaded audio is cached by URL so re-runs skip the download (AUDIO_CACHE_MAX_MB=0 disables)
+const audioCache = createAudioCache(join(DATA_DIR, 'audio-cache'), {
+  maxBytes: Number(process.env.AUDIO_CACHE_MAX_MB ?? 2048) * 1024 * 1024,
+  maxAgeDays: Number(process.env.AUDIO_CACHE_MAX_DAYS ?? 30),
+});
+
 /**
  * Validate environment and create API clients (deferred so --help works without keys)
+ *
+ * Every billed API call is written to the cost ledger. `usage` is the ledger
+ * context for this set of clients — callers fill in transcriptId and channel
+ * as they become known.
+ *
+ * @param {Object} options
+ * @param {string} [options.provider] - Transcription provider (default: TRANSCRIPTION_PROVIDER env or assemblyai)
+ * @param {string} [options.command] - Command name recorded with each cost entry
+ * @param {boolean} [options.transcription=true] - Create a transcription provider (false for LLM-only commands)
+ * @returns {{ transcriber: Object|null, openai: Object|null, usage: Object }}
  */
-function initClients() {
-  const ASSEMBLYAI_API_KEY = process.env.ASSEMBLYAI_API_KEY;
+function initClients({ provider, command, transcription = true } = {}) {
+  const providerName = provider || process.env.TRANSCRIPTION_PROVIDER || DEFAULT_PROVIDER;
   const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
+  const OPENAI_BASE_URL = process.env.OPENAI_BASE_URL;
+
+  const usage = { command: command || null, transcriptId: null, channel: null };
+  const onUsage = entry => recordCost(DATA_DIR, { ...usage, ...entry });
 
-  if (!ASSEMBLYAI_API_KEY) {
-    console.error('Error: ASSEMBLYAI_API_KEY not found in .env file');
-    console.error('Copy .env.example to .env and add your API key');
+  let transcriber = null;
+  try {
+    if (transcription) {
+      transcriber = createTranscriptionProvider(providerName, process.env, { dataDir: DATA_DIR, onUsage });
+    }
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    console.error('Copy .env.example to .env and fill in the provider settings');
     process.exit(1);
   }
 
-  if (!OPENAI_API_KEY) {
+  // A local OpenAI-compatible endpoint needs no real key
+  const openai = OPENAI_API_KEY || isLocalBaseUrl(OPENAI_BASE_URL)
+    ? createOpenAIClient(OPENAI_API_KEY || 'local', {
+      baseURL: OPENAI_BASE_URL,
+      models: {
+        ...(process.env.OPENAI_SPEAKER_MODEL ? { speakerId: process.env.OPENAI_SPEAKER_MODEL } : {}),
+        ...(process.env.OPENAI_SINGLE_SPEAKER_MODEL ? { singleSpeaker: process.env.OPENAI_SINGLE_SPEAKER_MODEL } : {}),
+        ...(process.env.OPENAI_PARAGRAPH_MODEL ? { paragraphs: process.env.OPENAI_PARAGRAPH_MODEL } : {}),
+        ...(process.env.OPENAI_SUMMARY_MODEL ? { summary: process.env.OPENAI_SUMMARY_MODEL } : {}),
+      },
+      pricing: parseModelPricing(process.env.OPENAI_MODEL_PRICING),
+      onUsage,
+    })
+    : null;
+
+  if (!openai) {
     console.warn('Warning: OPENAI_API_KEY not set — speaker identification will be skipped');
+  } else if (transcriber && transcriber.local && !openai.local) {
+    console.warn(`Note: transcription runs on ${transcriber.label}, but transcript text is still sent to`);
+    console.warn(`      ${OPENAI_BASE_URL || 'OpenAI'} for speaker identification. Point OPENAI_BASE_URL at a`);
+    console.warn('      local model or unset OPENAI_API_KEY to keep everything local.');
   }
 
-  return {
-    assemblyai: createAssemblyAIClient(ASSEMBLYAI_API_KEY),
-    openai: OPENAI_API_KEY ? createOpenAIClient(OPENAI_API_KEY) : null,
-  };
+  return { transcriber, openai, usage };
+}
+
+/**
+ * Parse OPENAI_MODEL_PRICING — JSON of { model: { input, output } } in USD per 1M tokens
+ */
+function parseModelPricing(raw) {
+  if (!raw) return {};
+  try {
+    return JSON.parse(raw);
+  } catch {
+    console.warn('Warning: OPENAI_MODEL_PRICING is not valid JSON — ignoring');
+    return {};
+  }
 }
 
 // ============================================================================
@@ -151,12 +274,12 @@ function splitLongUtterances(utterances, sentences, threshold = 4000) {
  * Fetch sentence segmentation and re-chunk long utterances into ~threshold-char segments.
  * Short utterances pass through unchanged. Returns the (possibly chunked) utterances array.
  */
-async function chunkLongUtterances(assemblyai, utterances, transcriptId, threshold = 4000) {
+async function chunkLongUtterances(transcriber, utterances, transcriptId, threshold = 4000) {
   const hasLong = utterances.some(u => u.text.length > threshold);
   if (!hasLong) return utterances;
 
   console.log('   Fetching sentence segmentation for long utterance(s)...');
-  const sentences = await assemblyai.getSentences(transcriptId);
+  const sentences = await transcriber.getSentences(transcriptId);
   const speakers = [...new Set(utterances.map(u => u.speaker))];
 
   let chunked;
@@ -170,18 +293,76 @@ async function chunkLongUtterances(assemblyai, utterances, transcriptId, thresho
 }
 
 /**
- * Build a context string for speaker identification from source metadata
- * and any user-provided speaker hint (e.g. "Meeting between Nick and Sarah").
+ * Correct common mis-hearings using the glossary entries for the given
+ * scopes (channel and/or feed name) plus global ones. A scoped entry
+ * overrides a global entry for the same term.
+ * @param {Object} transcript - { utterances, text }
+ * @param {Array<string|null>} scopes - Channel/feed names
+ * @returns {{ utterances: Array, text: string, replacements: number }}
  */
-function buildSpeakerContext({ title, channel, description } = {}, speakerHint) {
+function applyScopedGlossary({ utterances, text }, scopes) {
+  const entries = new Map();
+  for (const scope of [GLOBAL_GLOSSARY_SCOPE, ...scopes.filter(Boolean)]) {
+    for (const entry of listGlossary(DATA_DIR, { scopes: [scope] })) {
+      entries.set(entry.term.toLowerCase(), entry);
+    }
+  }
+
+  const result = applyGlossary(utterances, text, [...entries.values()]);
+  if (result.replacements > 0) {
+    const detail = Object.entries(result.counts).map(([term, n]) => `${term} ×${n}`).join(', ');
+    console.log(`   Glossary: ${result.replacements} replacement(s) (${detail})`);
+  }
+  return result;
+}
+
+/**
+ * Build a context string for speaker identification from source metadata,
+ * recurring speakers from the registry, speaker names from a publisher
+ * transcript, and any user-provided speaker hint (e.g. "Meeting between Nick and Sarah").
+ * transcriptId is set for stored transcripts, which don't count as their own channel history.
+ */
+function buildSpeakerContext({ title, channel, description, speakerNames, transcriptId } = {}, speakerHint) {
   const parts = [];
   if (title) parts.push(`Video title: ${title}`);
   if (channel) parts.push(`Channel: ${channel}`);
   if (description) parts.push(`Video description: ${description.slice(0, 1000)}`);
+  const regulars = channel ? describeChannelRegulars(channel, transcriptId) : '';
+  if (regulars) parts.push(`Known speakers: ${regulars}`);
+  const named = Object.entries(speakerNames || {});
+  if (named.length > 0) {
+    parts.push(`Speaker names given by the publisher's transcript: ${named.map(([label, name]) => `${label} = ${name}`).join(', ')}`);
+  }
   if (speakerHint) parts.push(`Additional context: ${speakerHint}`);
   return parts.join('\n');
 }
 
+/**
+ * Describe a channel's recurring speakers from past transcripts, e.g.
+ * "this channel is usually hosted by Dwarkesh Patel (12 of 14 past transcripts)".
+ * Speakers in at least half the channel's transcripts count as hosts.
+ * @param {string} channel - Channel/show name
+ * @param {string} [excludeTranscriptId] - Transcript to leave out of the counts
+ * @returns {string} Description, or '' if the channel has no recurring speakers
+ */
+function describeChannelRegulars(channel, excludeTranscriptId = null) {
+  const { total, speakers } = getChannelRegulars(DATA_DIR, channel, { excludeTranscriptId });
+  if (speakers.length === 0) return '';
+
+  const count = s => `${s.appearances} of ${total} past transcripts`;
+  const hosts = speakers.filter(s => s.appearances / total >= 0.5);
+  const others = speakers.filter(s => s.appearances / total < 0.5);
+
+  const parts = [];
+  if (hosts.length > 0) {
+    parts.push(`this channel is usually hosted by ${hosts.map(s => `${s.name} (${count(s)})`).join(' and ')}`);
+  }
+  if (others.length > 0) {
+    parts.push(`other recurring speakers: ${others.map(s => `${s.name} (${count(s)})`).join(', ')}`);
+  }
+  return parts.join('; ');
+}
+
 /**
  * Run speaker identification and paragraph breaking via OpenAI.
  *
@@ -190,21 +371,32 @@ function buildSpeakerContext({ title, channel, description } = {}, speakerHint)
  *   2. openai only       → paragraph breaking only (no speaker ID)
  *   3. no openai         → pass utterances through unchanged
  *
- * @returns {{ utterances, speakers: Array, reasoning: string }}
+ * With `summarize`, a TL;DR/key points/chapters pass runs afterwards in
+ * modes 1 and 2.
+ *
+ * `labeled` keeps the original speaker labels (for utterance storage);
+ * `utterances` has labels replaced by identified names.
+ *
+ * @returns {{ utterances, labeled, speakers: Array, reasoning: string, summary: Object|null }}
  */
-async function identifyAndFormat(openai, utterances, { diarize, context }) {
-  const empty = { utterances, speakers: [], reasoning: '' };
+async function identifyAndFormat(openai, utterances, { diarize, context, summarize = false }) {
+  const empty = { utterances, labeled: utterances, speakers: [], reasoning: '', summary: null };
 
   if (utterances.length === 0 || !openai) {
     if (diarize && !openai) {
       console.log('\n⏩ Step 2/3: Skipping speaker identification (no OpenAI key)');
     }
+    if (summarize && !openai) {
+      console.log('   Skipping summary (no OpenAI key)');
+    }
     return empty;
   }
 
   if (!diarize) {
     console.log('\n⏩ Step 2/3: Skipping speaker identification (diarization disabled)');
-    return { ...empty, utterances: await openai.breakIntoParagraphs(utterances) };
+    const broken = await openai.breakIntoParagraphs(utterances);
+    const summary = summarize ? await summarizeUtterances(openai, broken, context) : null;
+    return { ...empty, utterances: broken, labeled: broken, summary };
   }
 
   // Full pipeline — speaker ID and paragraph breaking are independent, run concurrently
@@ -223,68 +415,487 @@ async function identifyAndFormat(openai, utterances, { diarize, context }) {
     console.log(`   ${label} (${s.confidence} confidence)`);
   }
 
+  // Summarize after identification so the summary can refer to speakers by name
+  const mapped = mapSpeakerNames(broken, identification.speakers);
+  const summary = summarize ? await summarizeUtterances(openai, mapped, context) : null;
+
   return {
-    utterances: mapSpeakerNames(broken, identification.speakers),
+    utterances: mapped,
+    labeled: broken,
     speakers: identification.speakers,
     reasoning: identification.reasoning,
+    summary,
+  };
+}
+
+/**
+ * Generate a TL;DR, key points and chapters, resolving each chapter's
+ * utterance index to its start timestamp.
+ * @param {Object} openai - OpenAI client
+ * @param {Array} utterances - Utterances with speaker names
+ * @param {string} context - Speaker/source context
+ * @returns {Object|null} { tldr, keyPoints, chapters: [{ title, utteranceIndex, start }] }
+ */
+async function summarizeUtterances(openai, utterances, context) {
+  const result = await openai.summarize(utterances, context);
+  if (!result) return null;
+
+  const summary = {
+    ...result,
+    chapters: result.chapters.map(c => ({ ...c, start: utterances[c.utteranceIndex].start ?? null })),
+  };
+  console.log(`   Summary: ${summary.keyPoints.length} key point(s), ${summary.chapters.length} chapter(s)`);
+  return summary;
+}
+
+/**
+ * Find the timestamp (ms) of the first utterance in rendered content that
+ * contains the given word. Works across all output formats: JSON is parsed,
+ * everything else is scanned line by line tracking the most recent
+ * [MM:SS] prefix or subtitle cue time.
+ * @returns {number|null} Start time in milliseconds, or null if not found
+ */
+function findMatchTimestamp(content, word) {
+  if (!content || !word) return null;
+  const needle = word.toLowerCase();
+
+  if (content.trimStart().startsWith('{')) {
+    try {
+      const { utterances = [] } = JSON.parse(content);
+      const match = utterances.find(u => u.text && u.text.toLowerCase().includes(needle));
+      return match ? match.start ?? null : null;
+    } catch {
+      return null;
+    }
+  }
+
+  let lastTimestamp = null;
+  for (const line of content.split('\n')) {
+    const prefix = line.match(/^\[(\d+):(\d{2})\]/);
+    const cue = line.match(/^(\d{2}):(\d{2}):(\d{2})[,.](\d{3}) -->/);
+    if (prefix) {
+      lastTimestamp = (Number(prefix[1]) * 60 + Number(prefix[2])) * 1000;
+    } else if (cue) {
+      lastTimestamp = (Number(cue[1]) * 3600 + Number(cue[2]) * 60 + Number(cue[3])) * 1000 + Number(cue[4]);
+    }
+    if (lastTimestamp != null && line.toLowerCase().includes(needle)) {
+      return lastTimestamp;
+    }
+  }
+  return null;
+}
+
+/**
+ * Timestamp of a search hit, located via the first highlighted word in its snippet
+ * @param {Object} row - Search result with snippet and content
+ * @param {string[]} highlight - [open, close] markers used for the snippet
+ * @param {string} fallback - Word to look for if the snippet has no highlight
+ * @returns {number|null} Milliseconds, or null if not found
+ */
+function locateSearchHit(row, [open, close], fallback) {
+  const start = row.snippet.indexOf(open);
+  const end = row.snippet.indexOf(close, start + open.length);
+  const word = start !== -1 && end !== -1 ? row.snippet.slice(start + open.length, end) : fallback;
+  return findMatchTimestamp(row.content, word);
+}
+
+/**
+ * Summarize subscription rules for display (e.g. "auto, keywords: ai, ≤90m")
+ */
+function describeSubscription(rules) {
+  const parts = [rules.autoTranscribe ? 'auto' : 'notify only'];
+  if (rules.keywords?.length) parts.push(`keywords: ${rules.keywords.join(', ')}`);
+  if (rules.maxDuration) parts.push(`≤${rules.maxDuration}m`);
+  if (rules.speakers) parts.push(`hint: "${rules.speakers}"`);
+  if (rules.since) parts.push(`since ${rules.since}`);
+  return parts.join(', ');
+}
+
+/**
+ * Saved feed name for a show: its title as a short slug ("The Daily" → "the-daily")
+ */
+function feedNameFor(show) {
+  const slug = show.name.toLowerCase().normalize('NFKD')
+    .replace(/[^a-z0-9]+/g, '-')
+    .slice(0, 30)
+    .replace(/^-+|-+$/g, '');
+  return slug || `itunes-${show.id}`;
+}
+
+/**
+ * Subscription rules from feed/podcast subscribe options
+ */
+function subscriptionFromArgs(argv) {
+  return {
+    autoTranscribe: argv.auto,
+    keywords: argv.keyword || [],
+    maxDuration: argv.maxDuration ?? null,
+    speakers: argv.speakers || null,
+    // Only episodes published from today onward count as "new" unless overridden
+    since: argv.since || new Date().toISOString().split('T')[0],
+  };
+}
+
+/**
+ * Check a feed episode against subscription rules.
+ * Episodes with unknown date or duration are not excluded by those rules.
+ */
+function matchesSubscription(episode, rules) {
+  if (rules.since && episode.date && episode.date < rules.since) return false;
+  if (rules.maxDuration && episode.duration != null && episode.duration > rules.maxDuration) return false;
+  if (rules.keywords?.length) {
+    // Whole-word, case-insensitive — so "AI" doesn't match "mountain"
+    const haystack = `${episode.name} ${episode.description}`;
+    const matches = rules.keywords.some(k =>
+      new RegExp(`\\b${k.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`, 'i').test(haystack)
+    );
+    if (!matches) return false;
+  }
+  return true;
+}
+
+/**
+ * Pick the publisher transcript to import for a feed episode: the first
+ * supported format in PUBLISHER_TRANSCRIPT_FORMATS order (formats that can
+ * name speakers come first). Plain text and HTML transcripts have no
+ * timestamps and are ignored.
+ * @returns {Object|null} { url, type, language, rel }
+ */
+function pickPublisherTranscript(episode) {
+  const types = Object.keys(PUBLISHER_TRANSCRIPT_FORMATS);
+  const candidates = (episode.transcripts || []).filter(t => types.includes(t.type));
+  candidates.sort((a, b) => types.indexOf(a.type) - types.indexOf(b.type));
+  return candidates[0] || null;
+}
+
+/**
+ * Move feeds from the old feeds.json into the database (once; the file is
+ * renamed afterwards). Called by every command that reads saved feeds.
+ */
+function migrateFeedsJson() {
+  const imported = importFeedsJson(DATA_DIR);
+  if (imported > 0) {
+    console.log(`📦 Imported ${imported} feed(s) from feeds.json into the database (renamed to feeds.json.imported)`);
+  }
+}
+
+/**
+ * Fetch a saved feed with its credentials and record the check: last-checked
+ * time, plus show title and author when the feed was (re)downloaded.
+ * @param {Object} feed - Saved feed from getFeed/listFeeds
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Max episodes to return
+ * @param {boolean} [options.conditional=false] - Send the validators from the last sync
+ * @returns {Promise<Object>} fetchFeed result
+ */
+async function fetchSavedFeed(feed, { limit, conditional = false } = {}) {
+  const fetched = await fetchFeed(feed.url, { limit, ...feedRequestOptions(feed, { conditional }) });
+  saveFeed(DATA_DIR, feed.name, {
+    last_checked_at: new Date().toISOString(),
+    ...(fetched.show ? { title: fetched.show.name, author: fetched.show.author || null } : {}),
+  });
+  return fetched;
+}
+
+/**
+ * Find an episode in a feed by its enclosure URL
+ * @param {string} feed - Saved feed name or feed URL
+ * @param {string} episodeUrl - Episode audio URL
+ * @returns {Promise<{ show: Object, episode: Object, feedName: string|null, saved: Object|null }>}
+ *   saved is the stored feed (for its default speaker hint and output folder)
+ */
+async function findFeedEpisode(feed, episodeUrl) {
+  migrateFeedsJson();
+  const saved = isUrl(feed) ? null : getFeed(DATA_DIR, feed);
+  if (!isUrl(feed) && !saved) {
+    throw new Error(`Feed "${feed}" not found. Use "feed list" to see saved feeds.`);
+  }
+
+  const { show, episodes } = saved
+    ? await fetchSavedFeed(saved, { limit: Infinity })
+    : await fetchFeed(feed, { limit: Infinity });
+  const target = normalizeUrl(episodeUrl);
+  const episode = episodes.find(ep => ep.url && normalizeUrl(ep.url) === target);
+  if (!episode) {
+    throw new Error(`Episode not found in feed "${feed}" — pass the audio URL shown by: feed ${feed}`);
+  }
+  return { show, episode, feedName: saved ? saved.name : null, saved };
+}
+
+/**
+ * Collect provider transcription options from CLI flags. Only options that
+ * were set are included, so the stored JSON stays minimal.
+ * @returns {Object} { languageCode, languageDetection, speakersExpected, wordBoost, boostParam, customSpelling }
+ */
+function transcriptionOptionsFromArgv(argv) {
+  const customSpelling = parseCustomSpelling(argv.customSpelling || []);
+  if (argv.speakersExpected != null && !(Number.isInteger(argv.speakersExpected) && argv.speakersExpected > 0)) {
+    throw new Error(`Invalid --speakers-expected "${argv.speakersExpected}"\nExpected: a whole number of speakers (e.g. 3)`);
+  }
+  return {
+    ...(argv.language ? { languageCode: argv.language } : {}),
+    ...(argv.detectLanguage ? { languageDetection: true } : {}),
+    ...(argv.speakersExpected ? { speakersExpected: argv.speakersExpected } : {}),
+    ...(argv.wordBoost && argv.wordBoost.length > 0 ? { wordBoost: argv.wordBoost } : {}),
+    ...(argv.boostParam ? { boostParam: argv.boostParam } : {}),
+    ...(customSpelling.length > 0 ? { customSpelling } : {}),
+  };
+}
+
+/**
+ * Collect --start/--end and audio cleanup flags. Returns null when none are
+ * set, so the audio is uploaded untouched.
+ * @returns {Object|null} { start, end, trimSilence, mono, normalize }
+ */
+function preprocessingFromArgv(argv) {
+  const start = argv.start != null ? parseTimestamp(argv.start, '--start') : null;
+  const end = argv.end != null ? parseTimestamp(argv.end, '--end') : null;
+  if (start != null && end != null && end <= start) {
+    throw new Error(`--end (${argv.end}) must be after --start (${argv.start})`);
+  }
+  if (start == null && end == null && !argv.trimSilence && !argv.mono && !argv.normalize) return null;
+
+  return {
+    ...(start != null ? { start } : {}),
+    ...(end != null ? { end } : {}),
+    ...(argv.trimSilence ? { trimSilence: true } : {}),
+    ...(argv.mono ? { mono: true } : {}),
+    ...(argv.normalize ? { normalize: true } : {}),
   };
 }
 
+/**
+ * Summarize preprocessing for display (e.g. "1:30:00–end, trim silence, mono")
+ */
+function describePreprocessing({ start, end, trimSilence, mono, normalize }) {
+  const parts = [];
+  if (start != null || end != null) {
+    parts.push(`${start != null ? formatClock(start * 1000) : 'start'}–${end != null ? formatClock(end * 1000) : 'end'}`);
+  }
+  if (trimSilence) parts.push('trim silence');
+  if (mono) parts.push('mono');
+  if (normalize) parts.push('normalize loudness');
+  return parts.join(', ');
+}
+
+/**
+ * Shift utterance timestamps by an offset (audio cut from later in the source)
+ * @param {Array} utterances - Array of { start, end, ... } in milliseconds
+ * @param {number} [offsetMs] - Where the transcribed audio starts in the source
+ * @returns {Array} Shifted utterances (the input array if there is no offset)
+ */
+function shiftUtterances(utterances, offsetMs) {
+  if (!offsetMs) return utterances;
+  return utterances.map(u => ({ ...u, start: u.start + offsetMs, end: u.end + offsetMs }));
+}
+
+/**
+ * Make a title safe for use as a filename
+ */
+function sanitizeFilename(title) {
+  return title.replace(/[/\\?%*:|"<>]/g, '-').slice(0, 100);
+}
+
+/**
+ * Return the path unchanged if it's free, otherwise append (2), (3), etc.
+ * before the extension
+ */
+function nextFreePath(path) {
+  const ext = extname(path);
+  const base = join(dirname(path), basename(path, ext));
+  let candidate = path;
+  for (let counter = 2; existsSync(candidate); counter++) {
+    candidate = `${base} (${counter})${ext}`;
+  }
+  return candidate;
+}
+
+/**
+ * Format milliseconds as H:MM:SS or M:SS for console display
+ */
+function formatClock(ms) {
+  const total = Math.floor(ms / 1000);
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = String(total % 60).padStart(2, '0');
+  return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+}
+
 // ============================================================================
-// Command Handlers
+// Cost Estimation
 // ============================================================================
 
 /**
- * Main transcription pipeline:
- *
- *   1. Resolve input (URL download or local file validation)
- *   2. Transcribe via AssemblyAI (upload, transcribe, diarize)
- *   3. Pre-chunk long utterances via sentence segmentation (free AssemblyAI endpoint)
- *   4. Identify speakers + paragraph-break via OpenAI (concurrent, optional)
- *   5. Format output (markdown/text/JSON) and save to vault + SQLite
+ * Estimate what a run will cost before any audio is uploaded.
+ * Duration comes from (in order) the caller, yt-dlp metadata for URLs, or
+ * ffprobe — which also reads direct media URLs yt-dlp has no duration for.
+ * @param {Object} clients - { transcriber, openai } from initClients()
+ * @param {string} input - Local file path or media URL
+ * @param {Object} options
+ * @param {boolean} options.diarize - Multi-speaker identification
+ * @param {boolean} [options.summarize] - Include the summary pass
+ * @param {number} [options.durationSeconds] - Known duration (e.g. from feed metadata)
+ * @param {Object} [options.preprocess] - --start/--end range; only that part is billed
+ * @returns {Object} { durationSeconds, transcription, llm: { cost, models }|null, total, metadata }
+ *   total is null when duration or LLM pricing is unknown
  */
-async function handleTranscribe(argv) {
-  const { assemblyai, openai } = initClients();
+async function estimateRun({ transcriber, openai }, input, { diarize, summarize = false, durationSeconds = null, preprocess = null }) {
+  let metadata = null;
+  let seconds = durationSeconds;
 
-  const input = argv.audioFile;
-  const diarize = !argv.noDiarize;
-  const speakerContext = argv.speakers || '';
-  const format = argv.format;
+  if (!seconds && isUrl(input)) {
+    metadata = await getMediaMetadata(input);
+    seconds = metadata.duration;
+  }
+  if (!seconds) {
+    seconds = await probeDuration(isUrl(input) ? input : resolve(input));
+  }
+  if (!seconds) {
+    return { durationSeconds: null, transcription: null, llm: null, total: null, metadata };
+  }
+  if (preprocess) {
+    seconds = Math.max(0, Math.min(preprocess.end ?? seconds, seconds) - (preprocess.start || 0));
+  }
 
-  // Resolve input — URL or local file
-  let sourceInfo;
+  const transcription = transcriber.estimateCost(seconds);
+  const llm = openai ? openai.estimateCost(seconds, { diarize, summarize }) : null;
+  const total = llm && llm.cost == null ? null : transcription + (llm ? llm.cost : 0);
 
-  if (isUrl(input)) {
-    // Check for duplicate URL (unless --force)
-    if (!argv.force) {
-      const existing = findBySourceUrl(DATA_DIR, input);
-      if (existing) {
-        console.error(`\n⚠️  This URL was already transcribed:`);
-        console.error(`   Title: ${existing.title}`);
-        console.error(`   Date:  ${existing.created_at}`);
-        console.error(`\n   Use --force to re-transcribe.`);
-        process.exit(1);
-      }
-    }
+  return { durationSeconds: seconds, transcription, llm, total, metadata };
+}
 
-    const label = isYouTubeUrl(input) ? 'YouTube' : 'URL';
-    console.log(`\n🎬 Downloading ${label} audio...\n`);
-    const download = await downloadAudio(input);
-    sourceInfo = { ...download, isUrl: true };
-    console.log(`   Saved to temp: ${sourceInfo.filePath}`);
-  } else {
-    sourceInfo = { filePath: resolve(input), cleanup: null, isUrl: false };
-    validateAudioFile(sourceInfo.filePath);
+/**
+ * Print a cost estimate breakdown
+ */
+function printEstimate(estimate, transcriber) {
+  if (estimate.durationSeconds == null) {
+    console.log('\n💵 Cost estimate unavailable — could not determine audio duration');
+    return;
+  }
+
+  console.log(`\n💵 Estimated cost (${Math.round(estimate.durationSeconds / 60)} min audio):`);
+  console.log(`   Transcription (${transcriber.label}): $${estimate.transcription.toFixed(4)}`);
+  if (estimate.llm) {
+    const llmCost = estimate.llm.cost == null ? 'unknown (set OPENAI_MODEL_PRICING)' : `~$${estimate.llm.cost.toFixed(4)}`;
+    console.log(`   LLM (${estimate.llm.models.join(', ')}): ${llmCost}`);
+  }
+  if (estimate.total != null) {
+    console.log(`   Total: ~$${estimate.total.toFixed(4)}`);
+  }
+}
+
+/**
+ * Throw if an estimate exceeds the budget. Runs whose cost cannot be
+ * estimated are allowed through with a warning.
+ */
+function checkBudget(estimate, maxCost) {
+  if (estimate.total == null) {
+    console.warn(`   ⚠️  Could not estimate cost — proceeding without --max-cost check`);
+    return;
+  }
+  if (estimate.total > maxCost) {
+    throw new Error(`Estimated cost $${estimate.total.toFixed(4)} exceeds --max-cost $${maxCost.toFixed(2)}`);
   }
+}
+
+// ============================================================================
+// Pipeline
+// ============================================================================
 
-  if (argv.title) {
-    sourceInfo.title = argv.title;
+/**
+ * Main transcription pipeline:
+ *
+ *   1. Resolve input (URL download or local file validation)
+ *   2. Transcribe via the selected provider (AssemblyAI upload + diarize, or local Whisper)
+ *   3. Pre-chunk long utterances via sentence segmentation (free provider endpoint)
+ *   4. Identify speakers + paragraph-break via OpenAI (concurrent, optional)
+ *   5. Format output (markdown/text/JSON/subtitles) and save to vault + SQLite
+ *
+ * Shared by the transcribe and sync commands. Throws on failure rather than
+ * exiting so batch callers can continue with the next input; once the job
+ * exists, the error carries its ID as error.jobId.
+ *
+ * @param {Object} clients - { transcriber, openai } from initClients()
+ * @param {string} input - Local file path or media URL
+ * @param {Object} options
+ * @param {boolean} options.diarize - Enable speaker diarization
+ * @param {string} [options.speakerHint] - Context about who the speakers are
+ * @param {string} options.format - Output format
+ * @param {string} [options.output] - Output file path (relative to vault root)
+ * @param {string} [options.outputDir] - Output directory; filename derived from title
+ * @param {string} [options.title] - Title override
+ * @param {string} [options.channel] - Channel/show name when the source has none (e.g. feed episodes)
+ * @param {string} [options.description] - Description when the source has none
+ * @param {string} [options.feed] - Saved feed name (selects feed-scoped glossary entries)
+ * @param {Object} [options.transcription] - Provider options (language, word boost, ...; see providers.js)
+ * @param {boolean} [options.summarize] - Add a TL;DR, key points and chapters
+ * @param {number} [options.maxCost] - Refuse to start if the estimated cost (USD) is higher
+ * @param {number} [options.durationSeconds] - Known duration for the estimate (e.g. from feed metadata)
+ * @param {string} [options.keepAudio] - Copy the audio into this folder (relative to vault root)
+ * @param {Object} [options.preprocess] - { start, end, trimSilence, mono, normalize } — see preprocessAudio
+ * @param {string} [options.fileHash] - Content hash of a local input, if the caller already computed it
+ * @param {Object} [options.publisherTranscript] - { url, type, language } from the feed; imported
+ *   instead of transcribing the audio (clients must use the publisher provider)
+ * @returns {{ id: string, title: string, outputPath: string|null }}
+ */
+async function runTranscription({ transcriber, openai, usage }, input, options, job = null) {
+  const { diarize, speakerHint = '', format } = options;
+
+  // Budget check happens before the job exists, so refused runs leave nothing to resume
+  let prefetched = null;
+  if (!job && options.maxCost != null) {
+    const estimate = await estimateRun({ transcriber, openai }, input, { diarize, summarize: options.summarize, durationSeconds: options.durationSeconds, preprocess: options.preprocess });
+    printEstimate(estimate, transcriber);
+    checkBudget(estimate, options.maxCost);
+    prefetched = estimate.metadata;
   }
 
+  const reached = stage => JOB_STAGES.indexOf(job.stage) >= JOB_STAGES.indexOf(stage);
+  const advance = (stage, fields = {}) => {
+    job = updateJob(DATA_DIR, job.id, { stage, error: null, ...fields });
+  };
+
+  let sourceInfo = job?.state.source || null;
+  let cleanup = null;
+
   try {
-    // Step 1: Transcribe with AssemblyAI
-    console.log('\n📝 Step 1/3: Transcribing audio...\n');
-    const transcript = await assemblyai.transcribe(sourceInfo.filePath, { diarize });
+    // Resolve input — skipped once the provider has produced a transcript ID
+    if (!job?.transcript_id) {
+      ({ cleanup, ...sourceInfo } = await resolveInput(input, options, prefetched));
+
+      // Every run is tracked as a job so a crash after the paid transcription
+      // step can be picked up again with the resume command. Created only once
+      // the input resolved, so bad URLs and failed downloads leave nothing to resume
+      if (!job) {
+        job = createJob(DATA_DIR, { input, options });
+        console.log(`   Job ID: ${job.id}`);
+      }
+      advance('downloaded', { state: { ...job.state, source: sourceInfo } });
+    }
+    usage.channel = sourceInfo.uploader || null;
+
+    // Step 1: Transcribe (or fetch the already-submitted transcript)
+    let transcript;
+    if (job.transcript_id) {
+      console.log(`\n📥 Step 1/3: Fetching transcript ${job.transcript_id} from ${transcriber.label} (free)...\n`);
+      // Waiting finishes a transcription interrupted while polling (and records
+      // its cost); one that already completed was recorded by the first run
+      transcript = await transcriber.getTranscript(job.transcript_id, { wait: !reached('transcribed') });
+    } else {
+      console.log(options.publisherTranscript
+        ? '\n📄 Step 1/3: Importing the publisher transcript (free)...\n'
+        : `\n📝 Step 1/3: Transcribing audio with ${transcriber.label}...\n`);
+      transcript = await transcriber.transcribe(sourceInfo.filePath, {
+        diarize,
+        ...options.transcription,
+        onSubmit: id => {
+          usage.transcriptId = id;
+          advance('submitted', { transcript_id: id });
+        },
+      });
+    }
+    if (!reached('transcribed')) advance('transcribed');
+    usage.transcriptId = transcript.id;
 
     console.log(`\n✅ Transcription complete (${Math.round(transcript.audioDuration)}s audio)`);
     const speakers = transcript.utterances.length > 0
@@ -294,67 +905,89 @@ async function handleTranscribe(argv) {
       console.log(`   ${speakers.length} speaker(s) detected: ${speakers.join(', ')}`);
     }
 
-    // Split long utterances using AssemblyAI sentence segmentation
-    transcript.utterances = await chunkLongUtterances(assemblyai, transcript.utterances, transcript.id);
+    // Split long utterances using provider sentence segmentation
+    transcript.utterances = await chunkLongUtterances(transcriber, transcript.utterances, transcript.id);
+
+    // Only a segment was uploaded — map timestamps back onto the original media
+    transcript.utterances = shiftUtterances(transcript.utterances, sourceInfo.offsetMs);
 
-    // Step 2: Identify speakers + break into paragraphs
-    const context = buildSpeakerContext({ title: sourceInfo.title, channel: sourceInfo.uploader, description: sourceInfo.description }, speakerContext);
-    const {
-      utterances: mappedUtterances,
-      speakers: speakerMapping,
-      reasoning: speakerReasoning,
-    } = await identifyAndFormat(openai, transcript.utterances, { diarize, context });
+    // Fix known mis-hearings before identification so names and terms are right everywhere
+    const glossary = applyScopedGlossary(transcript, [sourceInfo.uploader, options.feed]);
+    transcript.utterances = glossary.utterances;
+    transcript.text = glossary.text;
+
+    // Step 2: Identify speakers + break into paragraphs (reuse a saved result on resume)
+    let identification = job.state.identification;
+    if (reached('identified') && identification) {
+      console.log('\n⏩ Step 2/3: Using saved speaker identification');
+    } else {
+      const context = buildSpeakerContext({ title: sourceInfo.title, channel: sourceInfo.uploader, description: sourceInfo.description, speakerNames: transcript.speakerNames }, speakerHint);
+      const { labeled, speakers: mapping, reasoning, summary } = await identifyAndFormat(openai, transcript.utterances, { diarize, context, summarize: options.summarize });
+      identification = { labeled, speakers: mapping, reasoning, summary };
+      advance('identified', { state: { ...job.state, identification } });
+    }
+    const { labeled: labeledUtterances, speakers: speakerMapping, reasoning: speakerReasoning, summary = null } = identification;
+    const mappedUtterances = mapSpeakerNames(labeledUtterances, speakerMapping);
 
     // Step 3: Format and save output
     console.log('\n💾 Step 3/3: Saving output...\n');
 
     // Use source title if available, otherwise derive from file path
+    const mediaPath = sourceInfo.mediaPath || sourceInfo.filePath;
     const sourceFilename = sourceInfo.title
-      ? sourceInfo.title.replace(/[/\\?%*:|"<>]/g, '-').slice(0, 100)
-      : basename(sourceInfo.filePath, extname(sourceInfo.filePath));
+      ? sanitizeFilename(sourceInfo.title)
+      : basename(mediaPath, extname(mediaPath));
     const speakerNames = speakerMapping.map(s => s.name);
     const metadata = {
       audioDuration: transcript.audioDuration,
       transcriptId: transcript.id,
+      provider: transcriber.name,
       speakerReasoning,
       speakers: speakerNames,
       ...(sourceInfo.isUrl ? { sourceUrl: input, sourceTitle: sourceInfo.title } : {}),
+      ...(summary ? { summary } : {}),
     };
 
-    let content;
-    let outputExt;
-    if (format === 'json') {
-      content = formatJson(sourceFilename, mappedUtterances, transcript.text, metadata);
-      outputExt = '.json';
-    } else if (format === 'text') {
-      content = formatText(mappedUtterances, transcript.text);
-      outputExt = '.txt';
-    } else {
-      content = formatMarkdown(sourceFilename, mappedUtterances, transcript.text, metadata);
-      outputExt = '.md';
-    }
+    const { content, ext: outputExt } = renderTranscript(format, sourceFilename, mappedUtterances, transcript.text, metadata);
 
     let outputPath = null;
-    if (argv.output) {
-      outputPath = resolve(VAULT_ROOT, argv.output);
-
-      const outputDir = dirname(outputPath);
-      mkdirSync(outputDir, { recursive: true });
-
-      // Handle file collisions — append (2), (3), etc. if file exists
-      if (existsSync(outputPath)) {
-        const base = basename(outputPath, outputExt);
-        let counter = 2;
-        while (existsSync(join(outputDir, `${base} (${counter})${outputExt}`))) {
-          counter++;
-        }
-        outputPath = join(outputDir, `${base} (${counter})${outputExt}`);
-      }
+    if (options.output || options.outputDir) {
+      outputPath = options.output
+        ? resolve(VAULT_ROOT, options.output)
+        : resolve(VAULT_ROOT, options.outputDir, `${sourceFilename}${outputExt}`);
+
+      mkdirSync(dirname(outputPath), { recursive: true });
+      outputPath = nextFreePath(outputPath);
 
       writeFileSync(outputPath, content, 'utf-8');
       console.log(`   Saved to: ${outputPath}`);
     }
 
+    // Keep a copy of the original audio for later clip extraction (--keep-audio)
+    let audioPath = null;
+    if (options.keepAudio) {
+      if (mediaPath && existsSync(mediaPath)) {
+        audioPath = resolve(VAULT_ROOT, options.keepAudio, `${sourceFilename}${extname(mediaPath)}`);
+        mkdirSync(dirname(audioPath), { recursive: true });
+        audioPath = nextFreePath(audioPath);
+        copyFileSync(mediaPath, audioPath);
+        console.log(`   Audio kept: ${audioPath}`);
+      } else {
+        console.warn('   ⚠️  Audio file is no longer available — not kept');
+      }
+    }
+
+    // Persist the provider options used (plus the detected language, if asked for),
+    // any preprocessing and the saved feed — reidentify needs offsetMs to shift
+    // timestamps again, and the feed name for feed-scoped glossary entries
+    const transcriptionOptions = {
+      ...options.transcription,
+      ...(options.transcription?.languageDetection && transcript.languageCode ? { detectedLanguage: transcript.languageCode } : {}),
+      ...(options.preprocess ? { preprocessing: { ...options.preprocess, offsetMs: sourceInfo.offsetMs || 0 } } : {}),
+      ...(options.publisherTranscript ? { publisherTranscript: options.publisherTranscript.url } : {}),
+      ...(options.feed ? { feed: options.feed } : {}),
+    };
+
     // Save transcript metadata to database
     saveTranscript(DATA_DIR, {
       id: transcript.id,
@@ -370,60 +1003,384 @@ async function handleTranscribe(argv) {
       created_at: new Date().toISOString(),
       raw_metadata: sourceInfo.rawMetadata || null,
       content: content,
+      format,
+      full_text: transcript.text,
+      provider: transcriber.name,
+      summary: summary ? JSON.stringify(summary) : null,
+      transcription_options: Object.keys(transcriptionOptions).length > 0 ? JSON.stringify(transcriptionOptions) : null,
+      glossary_replacements: glossary.replacements,
+      audio_path: audioPath ? relative(VAULT_ROOT, audioPath) : null,
+      file_hash: sourceInfo.fileHash || null,
+      original_filename: sourceInfo.originalFilename || null,
     });
+    saveUtterances(DATA_DIR, transcript.id, labeledUtterances, speakerMapping);
+    recordSpeakers(DATA_DIR, transcript.id, sourceInfo.uploader || null, speakerMapping);
+
+    advance('saved');
 
     // Console preview
     printConsoleOutput(mappedUtterances, transcript.text);
 
-    console.log('\n✅ Done!');
-
+    return { id: transcript.id, title: sourceFilename, outputPath };
+  } catch (error) {
+    if (!job) throw error;
+    updateJob(DATA_DIR, job.id, { error: error.message });
+    error.jobId = job.id;
+    if (job.transcript_id) {
+      console.error(`\n💾 Progress saved at stage "${job.stage}" — continue with: resume ${job.id}`);
+    }
+    throw error;
   } finally {
-    if (sourceInfo.cleanup) sourceInfo.cleanup();
+    if (cleanup) cleanup();
   }
 }
 
-async function handleList(argv) {
-  const rows = listTranscripts(DATA_DIR, {
-    channel: argv.channel,
-    speaker: argv.speaker,
-    sourceType: argv.sourceType,
-    limit: argv.limit,
-  });
+/**
+ * Resolve a pipeline input to a local audio file — downloads URLs via yt-dlp,
+ * validates local paths, cuts/cleans the audio if asked — and apply
+ * title/channel/description overrides. Publisher transcript imports skip the
+ * download: filePath is the transcript URL, which the publisher provider fetches.
+ * @param {string} input - Local file path or media URL
+ * @param {Object} options - Pipeline options (title/channel/description overrides)
+ * @param {Object} [metadata] - yt-dlp metadata already fetched for the estimate
+ * @returns {Object} { filePath, mediaPath, offsetMs, isUrl, fileHash, originalFilename, title, description, uploader, channelUrl, rawMetadata, cleanup }
+ *   filePath is what gets uploaded; mediaPath is the original when preprocessing made a new file
+ */
+async function resolveInput(input, options, metadata = null) {
+  let sourceInfo;
 
-  if (rows.length === 0) {
-    console.log('No transcripts found.');
-    return;
+  if (options.publisherTranscript) {
+    sourceInfo = { filePath: options.publisherTranscript.url, cleanup: null, isUrl: true };
+  } else if (isUrl(input)) {
+    const label = isYouTubeUrl(input) ? 'YouTube' : 'URL';
+    console.log(`\n🎬 Downloading ${label} audio...\n`);
+    const download = await downloadAudio(input, { metadata, cache: audioCache });
+    sourceInfo = { ...download, isUrl: true };
+    console.log(`   Audio: ${sourceInfo.filePath}`);
+  } else {
+    sourceInfo = { filePath: resolve(input), cleanup: null, isUrl: false, originalFilename: basename(input) };
+    validateAudioFile(sourceInfo.filePath);
+    sourceInfo.fileHash = options.fileHash || await hashFile(sourceInfo.filePath);
   }
 
-  // Print formatted table
-  const header = `${'Title'.padEnd(50)} ${'Channel'.padEnd(20)} ${'Type'.padEnd(8)} ${'Mins'.padEnd(6)} Date`;
-  console.log(header);
-  console.log('─'.repeat(header.length));
+  if (options.preprocess) {
+    console.log(`\n✂️  Preparing audio (${describePreprocessing(options.preprocess)})...`);
+    const processed = await preprocessAudio(sourceInfo.filePath, options.preprocess);
+    const downloadCleanup = sourceInfo.cleanup;
+    sourceInfo.mediaPath = sourceInfo.filePath;
+    sourceInfo.filePath = processed.filePath;
+    sourceInfo.offsetMs = processed.offsetMs;
+    sourceInfo.cleanup = () => {
+      processed.cleanup();
+      if (downloadCleanup) downloadCleanup();
+    };
+    const length = processed.durationSeconds != null ? `${formatClock(processed.durationSeconds * 1000)} ` : '';
+    console.log(`   Uploading ${length}from ${formatClock(processed.offsetMs)}`);
+  }
 
-  for (const row of rows) {
-    const title = (row.title || '').slice(0, 48).padEnd(50);
-    const channel = (row.channel || '—').slice(0, 18).padEnd(20);
-    const type = (row.source_type || '').padEnd(8);
-    const mins = row.duration_seconds
-      ? String(Math.round(row.duration_seconds / 60)).padEnd(6)
-      : '—'.padEnd(6);
-    const date = row.created_at ? row.created_at.split('T')[0] : '—';
-    console.log(`${title} ${channel} ${type} ${mins} ${date}`);
+  if (options.title) {
+    sourceInfo.title = options.title;
+  }
+  if (options.channel && !sourceInfo.uploader) {
+    sourceInfo.uploader = options.channel;
+  }
+  if (options.description && !sourceInfo.description) {
+    sourceInfo.description = options.description;
   }
 
-  console.log(`\n${rows.length} transcript(s) shown.`);
+  return sourceInfo;
 }
 
-async function handlePodcast(argv) {
-  const results = await searchPodcasts(argv.query, { limit: argv.limit });
+// ============================================================================
+// Command Handlers
+// ============================================================================
 
-  if (results.length === 0) {
-    console.log(`No podcasts found for "${argv.query}".`);
-    return;
-  }
+async function handleTranscribe(argv) {
+  const input = argv.audioFile;
+  const diarize = !argv.noDiarize;
+  const format = argv.format;
 
-  const header = `${'ID'.padEnd(12)} ${'Podcast'.padEnd(35)} ${'Artist'.padEnd(22)} ${'Eps'.padEnd(5)} Genre`;
-  console.log(header);
+  // Subtitle cues are built from utterance timestamps, which require diarization
+  if (!diarize && (format === 'srt' || format === 'vtt')) {
+    console.error(`Error: --format ${format} needs utterance timestamps — remove --no-diarize`);
+    process.exit(1);
+  }
+  if (!diarize && argv.speakersExpected) {
+    console.error('Error: --speakers-expected is a diarization hint — remove --no-diarize');
+    process.exit(1);
+  }
+  const transcription = transcriptionOptionsFromArgv(argv);
+  const preprocess = preprocessingFromArgv(argv);
+
+  if (argv.playlist) {
+    await transcribePlaylist(input, argv, { diarize, format, transcription, preprocess });
+    return;
+  }
+  if (isUrl(input) && /[?&]list=/.test(input)) {
+    console.log('Tip: this URL is part of a playlist — add --playlist to transcribe every entry');
+  }
+
+  // Podcast episode: take metadata from the feed, and import the show's own
+  // transcript instead of paying for transcription when it publishes one
+  let fromFeed = null;
+  let published = null;
+  if (argv.feed) {
+    if (!isUrl(input)) {
+      console.error('Error: --feed needs the episode audio URL from the feed, not a local file');
+      process.exit(1);
+    }
+    try {
+      fromFeed = await findFeedEpisode(argv.feed, input);
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+      process.exit(1);
+    }
+    if (argv.publisherTranscript) {
+      published = pickPublisherTranscript(fromFeed.episode);
+      if (published && preprocess) {
+        console.log('Note: --start/--end and audio cleanup need the audio — transcribing instead of importing the publisher transcript');
+        published = null;
+      }
+    }
+    console.log(published
+      ? `📄 Publisher transcript available (${PUBLISHER_TRANSCRIPT_FORMATS[published.type]}) — importing instead of transcribing`
+      : '   No publisher transcript to import — transcribing the audio');
+  }
+
+  const clients = initClients({ provider: published ? 'publisher' : argv.provider, command: 'transcribe' });
+
+  // Check for duplicate URL (unless --force)
+  if (isUrl(input) && !argv.force) {
+    const existing = findBySourceUrl(DATA_DIR, input);
+    if (existing) {
+      console.error(`\n⚠️  This URL was already transcribed:`);
+      console.error(`   Title: ${existing.title}`);
+      console.error(`   Date:  ${existing.created_at}`);
+      console.error(`\n   Use --force to re-transcribe.`);
+      process.exit(1);
+    }
+  }
+
+  // Same check for local files, by content — catches copies under another name
+  // or path. Another --start/--end segment of the same recording is not a duplicate
+  let fileHash;
+  if (!isUrl(input)) {
+    validateAudioFile(resolve(input));
+    fileHash = await hashFile(resolve(input));
+    const existing = argv.force ? null : findByFileHash(DATA_DIR, fileHash, { start: preprocess?.start, end: preprocess?.end });
+    if (existing) {
+      console.error(`\n⚠️  This file was already transcribed:`);
+      console.error(`   Title: ${existing.title}`);
+      if (existing.original_filename) console.error(`   File:  ${existing.original_filename}`);
+      console.error(`   Date:  ${existing.created_at}`);
+      console.error(`\n   Use --force to re-transcribe.`);
+      process.exit(1);
+    }
+  }
+
+  if (argv.estimate) {
+    const durationSeconds = fromFeed?.episode.duration ? fromFeed.episode.duration * 60 : null;
+    const estimate = await estimateRun(clients, input, { diarize, summarize: argv.summarize, durationSeconds, preprocess });
+    printEstimate(estimate, clients.transcriber);
+    if (argv.maxCost != null && estimate.total != null && estimate.total > argv.maxCost) {
+      console.log(`\n   Over the --max-cost budget of $${argv.maxCost.toFixed(2)}`);
+    }
+    return;
+  }
+
+  // A saved feed supplies its default speaker hint and output folder
+  const episode = fromFeed?.episode;
+  await runTranscription(clients, input, {
+    provider: clients.transcriber.name,
+    diarize,
+    speakerHint: argv.speakers || fromFeed?.saved?.speakers || '',
+    format,
+    output: argv.output,
+    outputDir: fromFeed?.saved?.output_dir,
+    title: argv.title || episode?.name,
+    channel: fromFeed?.show.name,
+    feed: fromFeed?.feedName,
+    description: episode?.description,
+    durationSeconds: episode?.duration ? episode.duration * 60 : null,
+    transcription: published?.language && !transcription.languageCode ? { ...transcription, languageCode: published.language } : transcription,
+    preprocess,
+    summarize: argv.summarize,
+    maxCost: argv.maxCost,
+    keepAudio: argv.keepAudio,
+    fileHash,
+    publisherTranscript: published,
+  });
+
+  console.log('\n✅ Done!');
+}
+
+/**
+ * Transcribe every entry of a playlist or channel that isn't in the database
+ * yet, --concurrency entries at a time. Each worker gets its own clients so
+ * cost ledger entries are attributed to the right transcript.
+ */
+async function transcribePlaylist(url, argv, { diarize, format, transcription, preprocess }) {
+  if (!isUrl(url)) {
+    console.error('Error: --playlist needs a playlist or channel URL');
+    process.exit(1);
+  }
+  if (argv.output || argv.estimate) {
+    console.error(`Error: --playlist can't be combined with ${argv.output ? '--output (use --output-dir)' : '--estimate'}`);
+    process.exit(1);
+  }
+  if (!Number.isInteger(argv.concurrency) || argv.concurrency < 1) {
+    console.error('Error: --concurrency must be a positive whole number');
+    process.exit(1);
+  }
+
+  console.log('\n📃 Listing playlist entries...');
+  const playlist = await getPlaylistEntries(url);
+  console.log(`   ${playlist.title}${playlist.uploader ? ` — ${playlist.uploader}` : ''}: ${playlist.entries.length} entries`);
+
+  const existing = argv.force ? [] : playlist.entries.filter(entry => findBySourceUrl(DATA_DIR, entry.url));
+  let entries = playlist.entries.filter(entry => !existing.includes(entry));
+
+  if (argv.since) {
+    // Flat listings often omit dates — look those up one by one, stopping as
+    // soon as --limit entries match so a long channel doesn't mean a yt-dlp
+    // call per video
+    const matching = [];
+    let lookups = 0;
+    for (const entry of entries) {
+      if (argv.limit && matching.length >= argv.limit) break;
+      if (!entry.uploadDate) {
+        if (lookups++ === 0) console.log('   Looking up publication dates...');
+        entry.uploadDate = (await getMediaMetadata(entry.url)).uploadDate;
+      }
+      if (!entry.uploadDate || entry.uploadDate >= argv.since) matching.push(entry);
+    }
+    if (lookups > 0) console.log(`   ${lookups} date(s) looked up`);
+    entries = matching;
+  }
+  if (argv.limit) entries = entries.slice(0, argv.limit);
+
+  if (existing.length > 0) console.log(`   ${existing.length} already transcribed (use --force to redo)`);
+  if (entries.length === 0) {
+    console.log('\n✅ Nothing new to transcribe.');
+    return;
+  }
+  console.log(`   Transcribing ${entries.length}, ${Math.min(argv.concurrency, entries.length)} at a time`);
+
+  const results = new Array(entries.length);
+  let next = 0;
+  const worker = async () => {
+    const clients = initClients({ provider: argv.provider, command: 'transcribe' });
+    while (next < entries.length) {
+      const index = next++;
+      const entry = entries[index];
+      console.log(`\n▶️  [${index + 1}/${entries.length}] ${entry.title}`);
+      try {
+        await runTranscription(clients, entry.url, {
+          provider: clients.transcriber.name,
+          diarize,
+          speakerHint: argv.speakers || '',
+          format,
+          outputDir: argv.outputDir,
+          channel: playlist.uploader || undefined,
+          transcription,
+          preprocess,
+          summarize: argv.summarize,
+          maxCost: argv.maxCost,
+          durationSeconds: entry.duration,
+          keepAudio: argv.keepAudio,
+        });
+        results[index] = { entry, status: 'transcribed' };
+      } catch (error) {
+        console.error(`   ❌ ${entry.title}: ${error.message}`);
+        results[index] = { entry, status: error.message.includes('--max-cost') ? 'over budget' : 'failed' };
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(argv.concurrency, entries.length) }, worker));
+
+  console.log('\n─── Playlist Summary ───\n');
+  for (const { entry, status } of results) {
+    console.log(`${status.padEnd(12)} ${(entry.uploadDate || '—').padEnd(11)} ${entry.title.slice(0, 70)}`);
+  }
+  const done = results.filter(r => r.status === 'transcribed').length;
+  console.log(`\n${done} of ${results.length} transcribed${existing.length > 0 ? `, ${existing.length} skipped (already in database)` : ''}.`);
+}
+
+async function handleList(argv) {
+  const rows = listTranscripts(DATA_DIR, {
+    channel: argv.channel,
+    speaker: argv.speaker,
+    sourceType: argv.sourceType,
+    limit: argv.limit,
+  });
+
+  if (rows.length === 0) {
+    console.log('No transcripts found.');
+    return;
+  }
+
+  // Print formatted table
+  const header = `${'Title'.padEnd(50)} ${'Channel'.padEnd(20)} ${'Type'.padEnd(8)} ${'Mins'.padEnd(6)} Date`;
+  console.log(header);
+  console.log('─'.repeat(header.length));
+
+  for (const row of rows) {
+    const title = (row.title || '').slice(0, 48).padEnd(50);
+    const channel = (row.channel || '—').slice(0, 18).padEnd(20);
+    const type = (row.source_type || '').padEnd(8);
+    const mins = row.duration_seconds
+      ? String(Math.round(row.duration_seconds / 60)).padEnd(6)
+      : '—'.padEnd(6);
+    const date = row.created_at ? row.created_at.split('T')[0] : '—';
+    console.log(`${title} ${channel} ${type} ${mins} ${date}`);
+  }
+
+  console.log(`\n${rows.length} transcript(s) shown.`);
+}
+
+/**
+ * Full-text search over stored transcript content.
+ * Shows title, channel, timestamp of the first matching utterance and a
+ * highlighted snippet for each hit.
+ */
+async function handleSearch(argv) {
+  const terms = argv.terms.join(' ');
+  const highlight = process.stdout.isTTY ? ['\x1b[1m', '\x1b[0m'] : ['«', '»'];
+  const rows = searchTranscripts(DATA_DIR, terms, { limit: argv.limit, highlight });
+
+  if (rows.length === 0) {
+    console.log(`No transcripts match "${terms}".`);
+    return;
+  }
+
+  for (const row of rows) {
+    const ms = locateSearchHit(row, highlight, argv.terms[0]);
+    const when = ms != null ? ` @ ${formatClock(ms)}` : '';
+    console.log(`${row.title || '(untitled)'}${row.channel ? ` — ${row.channel}` : ''}${when}`);
+    console.log(`   ${row.snippet.replace(/\s+/g, ' ').trim()}`);
+    console.log(`   id: ${row.id}`);
+    console.log('');
+  }
+
+  console.log(`${rows.length} match(es).`);
+}
+
+async function handlePodcast(argv) {
+  if (argv.query[0] === 'subscribe') {
+    await subscribePodcast(argv.query[1], argv.query[2], argv);
+    return;
+  }
+
+  const query = argv.query.join(' ');
+  const results = await searchPodcasts(query, { limit: argv.limit });
+
+  if (results.length === 0) {
+    console.log(`No podcasts found for "${query}".`);
+    return;
+  }
+
+  const header = `${'ID'.padEnd(12)} ${'Podcast'.padEnd(35)} ${'Artist'.padEnd(22)} ${'Eps'.padEnd(5)} ${'Genre'.padEnd(16)} Feed`;
+  console.log(header);
   console.log('─'.repeat(header.length));
 
   for (const r of results) {
@@ -431,30 +1388,90 @@ async function handlePodcast(argv) {
     const name = r.name.slice(0, 33).padEnd(35);
     const artist = r.artist.slice(0, 20).padEnd(22);
     const eps = String(r.episodeCount).padEnd(5);
-    console.log(`${id} ${name} ${artist} ${eps} ${r.genre}`);
+    const genre = r.genre.slice(0, 15).padEnd(16);
+    console.log(`${id} ${name} ${artist} ${eps} ${genre} ${r.feedUrl || '—'}`);
+  }
+
+  console.log(`\n${results.length} result(s). Use: episodes <ID> to browse episodes, podcast subscribe <ID> to follow a show.`);
+}
+
+/**
+ * Resolve an iTunes podcast's RSS feed, save it as a feed and subscribe to it.
+ * Re-subscribing to a show that is already saved (by iTunes ID) updates that feed.
+ * @param {string} id - iTunes collection ID
+ * @param {string} [name] - Saved feed name (default: the show's saved name or a slug of its title)
+ * @param {Object} argv - Subscription options (auto, keyword, maxDuration, speakers, since)
+ */
+async function subscribePodcast(id, name, argv) {
+  if (!/^\d+$/.test(id || '')) {
+    console.error('Usage: podcast subscribe <itunes-id> [name] [--no-auto] [-k keyword..] [--max-duration mins] [-s hint] [--since YYYY-MM-DD]');
+    process.exit(1);
+  }
+  migrateFeedsJson();
+
+  const show = await lookupPodcast(Number(id));
+  if (!show.feedUrl) {
+    console.error(`"${show.name}" has no public RSS feed listed on iTunes (Apple-exclusive shows can't be subscribed to).`);
+    process.exit(1);
+  }
+
+  const known = listFeeds(DATA_DIR).find(feed => feed.itunes_id === show.id);
+  const feedName = name || known?.name || feedNameFor(show);
+  const existing = getFeed(DATA_DIR, feedName);
+  if (existing && existing.url !== show.feedUrl && existing.itunes_id !== show.id) {
+    console.error(`Feed "${existing.name}" is already saved for ${redactUrl(existing.url)}.`);
+    console.error(`Pick another name: podcast subscribe ${id} <name>`);
+    process.exit(1);
   }
 
-  console.log(`\n${results.length} result(s). Use: episodes <ID> to browse episodes.`);
+  const subscription = subscriptionFromArgs(argv);
+  const feed = saveFeed(DATA_DIR, feedName, {
+    url: show.feedUrl,
+    title: show.name,
+    author: show.artist,
+    itunes_id: show.id,
+    subscription,
+  });
+
+  console.log(`Saved feed "${feed.name}" → ${redactUrl(feed.url)}`);
+  console.log(`Subscribed to "${feed.name}" (${describeSubscription(subscription)}).`);
+  console.log(`Use: feed ${feed.name} to browse episodes, sync to check for new ones.`);
 }
 
 async function handleEpisodes(argv) {
-  const { show, episodes } = await getEpisodes(argv.id, { limit: argv.limit });
+  let { show, episodes } = await getEpisodes(argv.id, { limit: argv.limit });
+
+  // iTunes returns a capped list and skips episodes without an enclosure URL —
+  // when it comes up short, the show's own feed has the rest
+  let fromFeed = false;
+  if (episodes.length < argv.limit && show.feedUrl) {
+    try {
+      const fetched = await fetchFeed(show.feedUrl, { limit: argv.limit });
+      const feedEpisodes = fetched.episodes.filter(ep => ep.url);
+      if (feedEpisodes.length > episodes.length) {
+        episodes = feedEpisodes;
+        fromFeed = true;
+      }
+    } catch (error) {
+      console.warn(`⚠️  Could not read the RSS feed (${error.message}) — showing iTunes results only.`);
+    }
+  }
 
   if (episodes.length === 0) {
     console.log(`No episodes found for podcast ID ${argv.id}.`);
     return;
   }
 
-  console.log(`\n${show.name} — ${show.artist}\n`);
+  console.log(`\n${show.name} — ${show.artist}${fromFeed ? ' (from RSS feed)' : ''}\n`);
 
   const header = `${'Date'.padEnd(12)} ${'Mins'.padEnd(6)} ${'Episode'.padEnd(50)} URL`;
   console.log(header);
   console.log('─'.repeat(header.length));
 
   for (const ep of episodes) {
-    const date = ep.date.padEnd(12);
+    const date = (ep.date || '—').padEnd(12);
     const mins = (ep.duration ? String(ep.duration) : '—').padEnd(6);
-    const name = ep.name.slice(0, 48).padEnd(50);
+    const name = (ep.name || '').slice(0, 48).padEnd(50);
     console.log(`${date} ${mins} ${name} ${ep.url}`);
   }
 
@@ -464,31 +1481,108 @@ async function handleEpisodes(argv) {
 async function handleFeed(argv) {
   const source = argv.source || [];
   const sub = source[0] || '';
+  migrateFeedsJson();
 
   // Subcommands: add, rm, list
   if (sub === 'list') {
-    const feeds = loadFeeds();
-    const entries = Object.entries(feeds);
-    if (entries.length === 0) {
-      console.log('No saved feeds. Use: feed add <name> <url>');
+    const feeds = listFeeds(DATA_DIR, { tag: argv.tag?.[0] });
+    if (feeds.length === 0) {
+      console.log(argv.tag ? `No saved feeds tagged "${argv.tag[0]}".` : 'No saved feeds. Use: feed add <name> <url>');
       return;
     }
-    for (const [name] of entries) {
-      console.log(`  ${name}`);
+
+    const header = `${'Name'.padEnd(16)} ${'Show'.padEnd(30)} ${'Author'.padEnd(20)} ${'iTunes'.padEnd(11)} ${'Tags'.padEnd(18)} ${'Output folder'.padEnd(24)} Checked`;
+    console.log(header);
+    console.log('─'.repeat(header.length));
+
+    // URLs and credentials are redacted — private feeds carry tokens
+    for (const feed of feeds) {
+      const name = feed.name.slice(0, 15).padEnd(16);
+      const show = (feed.title || '—').slice(0, 29).padEnd(30);
+      const author = (feed.author || '—').slice(0, 19).padEnd(20);
+      const itunes = String(feed.itunes_id || '—').padEnd(11);
+      const tags = (feed.tags.join(', ') || '—').slice(0, 17).padEnd(18);
+      const folder = (feed.output_dir || '—').slice(-23).padEnd(24);
+      const checked = feed.last_checked_at ? feed.last_checked_at.split('T')[0] : 'never';
+      console.log(`${name} ${show} ${author} ${itunes} ${tags} ${folder} ${checked}`);
+
+      const details = [
+        feed.speakers ? `speakers: "${feed.speakers}"` : '',
+        describeFeedAuth(feed),
+        feed.subscription ? `subscribed: ${describeSubscription(feed.subscription)}` : '',
+      ].filter(Boolean);
+      console.log(`${' '.repeat(17)}${redactUrl(feed.url)}`);
+      if (details.length > 0) console.log(`${' '.repeat(17)}${details.join(' · ')}`);
     }
-    console.log(`\n${entries.length} feed(s) saved.`);
+    console.log(`\n${feeds.length} feed(s) saved.`);
+    return;
+  }
+
+  if (sub === 'subscribe') {
+    const name = source[1];
+    if (!name) {
+      console.error('Usage: feed subscribe <name> [--no-auto] [-k keyword..] [--max-duration mins] [-s hint] [--since YYYY-MM-DD]');
+      process.exit(1);
+    }
+    const subscription = subscriptionFromArgs(argv);
+    if (!getFeed(DATA_DIR, name)) {
+      console.error(`Feed "${name.toLowerCase()}" not found. Save it first with: feed add <name> <url>`);
+      process.exit(1);
+    }
+    saveFeed(DATA_DIR, name, { subscription });
+    console.log(`Subscribed to "${name.toLowerCase()}" (${describeSubscription(subscription)}).`);
+    return;
+  }
+
+  if (sub === 'unsubscribe') {
+    const name = source[1];
+    if (!name) {
+      console.error('Usage: feed unsubscribe <name>');
+      process.exit(1);
+    }
+    if (!getFeed(DATA_DIR, name)) {
+      console.error(`Feed "${name.toLowerCase()}" not found.`);
+      process.exit(1);
+    }
+    saveFeed(DATA_DIR, name, { subscription: null });
+    console.log(`Unsubscribed from "${name.toLowerCase()}" (feed still saved).`);
     return;
   }
 
   if (sub === 'add') {
     const name = source[1];
-    const url = source[2];
+    // The URL may be left out to update the details of a saved feed
+    const url = source[2] || (name && getFeed(DATA_DIR, name)?.url);
     if (!name || !url) {
-      console.error('Usage: feed add <name> <url>');
+      console.error('Usage: feed add <name> <url> [--tag t..] [--output-dir folder] [-s hint] [--itunes-id id]');
+      console.error('                             [--user name --password secret] [--header "Name: value"..] [--clear-auth]');
       process.exit(1);
     }
-    addFeed(name, url);
-    console.log(`Saved feed "${name.toLowerCase()}" → ${url}`);
+    if (argv.user && argv.password == null) {
+      console.error('Error: --user needs --password');
+      process.exit(1);
+    }
+    if (argv.password != null && !argv.user) {
+      console.error('Error: --password needs --user');
+      process.exit(1);
+    }
+
+    // Options not given on this call keep their saved values; --clear-auth drops credentials
+    const fields = { url };
+    if (argv.tag) fields.tags = argv.tag;
+    if (argv.outputDir != null) fields.output_dir = argv.outputDir || null;
+    if (argv.speakers != null) fields.speakers = argv.speakers || null;
+    if (argv.itunesId != null) fields.itunes_id = argv.itunesId;
+    if (argv.clearAuth) {
+      fields.auth = null;
+      fields.headers = null;
+    }
+    if (argv.user) fields.auth = { username: argv.user, password: String(argv.password) };
+    if (argv.header?.length) fields.headers = parseHeaders(argv.header);
+    const feed = saveFeed(DATA_DIR, name, fields);
+
+    const auth = describeFeedAuth(feed);
+    console.log(`Saved feed "${feed.name}" → ${redactUrl(feed.url)}${auth ? ` (${auth})` : ''}`);
     return;
   }
 
@@ -498,7 +1592,7 @@ async function handleFeed(argv) {
       console.error('Usage: feed rm <name>');
       process.exit(1);
     }
-    if (removeFeed(name)) {
+    if (removeFeed(DATA_DIR, name)) {
       console.log(`Removed feed "${name.toLowerCase()}".`);
     } else {
       console.error(`Feed "${name.toLowerCase()}" not found.`);
@@ -512,22 +1606,23 @@ async function handleFeed(argv) {
     console.error('Usage: feed <url-or-name> [-n limit]');
     console.error('       feed add <name> <url>');
     console.error('       feed rm <name>');
+    console.error('       feed subscribe|unsubscribe <name>');
     console.error('       feed list');
     process.exit(1);
   }
 
-  let feedUrl;
+  let fetched;
   if (isUrl(sub)) {
-    feedUrl = sub;
+    fetched = await fetchFeed(sub, { limit: argv.limit });
   } else {
-    feedUrl = getFeedUrl(sub);
-    if (!feedUrl) {
+    const saved = getFeed(DATA_DIR, sub);
+    if (!saved) {
       console.error(`Feed "${sub}" not found. Use "feed list" to see saved feeds.`);
       process.exit(1);
     }
+    fetched = await fetchSavedFeed(saved, { limit: argv.limit });
   }
-
-  const { show, episodes } = await fetchFeed(feedUrl, { limit: argv.limit });
+  const { show, episodes } = fetched;
 
   if (episodes.length === 0) {
     console.log('No episodes found in this feed.');
@@ -536,33 +1631,468 @@ async function handleFeed(argv) {
 
   console.log(`\n${show.name}${show.author ? ` — ${show.author}` : ''}\n`);
 
-  const header = `${'Date'.padEnd(12)} ${'Mins'.padEnd(6)} ${'Episode'.padEnd(50)} URL`;
+  const header = `${'Date'.padEnd(12)} ${'Mins'.padEnd(6)} ${'Transcript'.padEnd(11)} ${'Episode'.padEnd(50)} URL`;
   console.log(header);
   console.log('─'.repeat(header.length));
 
+  // "Transcript" shows the format of a free publisher transcript we can import
   for (const ep of episodes) {
     const date = (ep.date || '—').padEnd(12);
     const mins = (ep.duration != null ? String(ep.duration) : '—').padEnd(6);
+    const published = pickPublisherTranscript(ep);
+    const transcript = (published ? `✓ ${PUBLISHER_TRANSCRIPT_FORMATS[published.type]}` : '—').padEnd(11);
     const name = (ep.name || '').slice(0, 48).padEnd(50);
-    console.log(`${date} ${mins} ${name} ${ep.url}`);
+    console.log(`${date} ${mins} ${transcript} ${name} ${ep.url}`);
   }
 
+  const withTranscript = episodes.filter(ep => pickPublisherTranscript(ep)).length;
   console.log(`\n${episodes.length} episode(s). Use: transcribe <URL> to transcribe.`);
+  if (withTranscript > 0) {
+    console.log(`${withTranscript} with a publisher transcript — import it for free with: transcribe <URL> --feed ${sub}`);
+  }
 }
 
 /**
- * Re-identify speakers on an existing transcript without re-transcribing.
- * Fetches utterances from AssemblyAI (free), re-runs OpenAI speaker ID + paragraphs,
- * then overwrites the vault file and updates the database.
+ * Check new subscribed feeds for episodes and transcribe the ones matching
+ * each subscription's rules. Episodes already in the database (by enclosure
+ * URL) are skipped; subscriptions without auto-transcribe only list matches.
  */
-async function handleReidentify(argv) {
-  const { assemblyai, openai } = initClients();
+async function handleSync(argv) {
+  migrateFeedsJson();
+  let feeds;
+  if (argv.name) {
+    const feed = getFeed(DATA_DIR, argv.name);
+    if (!feed || !feed.subscription) {
+      console.error(`No subscription named "${argv.name.toLowerCase()}". Use: feed subscribe <name>`);
+      process.exit(1);
+    }
+    feeds = [feed];
+  } else {
+    feeds = listFeeds(DATA_DIR, { subscribed: true, tag: argv.tag });
+  }
 
-  if (!openai) {
-    console.error('Error: OPENAI_API_KEY required for speaker re-identification');
+  if (feeds.length === 0) {
+    console.log(argv.tag ? `No subscriptions tagged "${argv.tag}".` : 'No subscriptions. Use: feed subscribe <name>');
+    return;
+  }
+
+  // Clients are created lazily — notify-only syncs need no API keys, and
+  // episodes with a publisher transcript are imported instead of transcribed
+  let clients = null;
+  let publisherClients = null;
+  const results = [];
+
+  for (const feed of feeds) {
+    const rules = feed.subscription;
+    console.log(`\n📡 ${feed.name} (${describeSubscription(rules)})`);
+
+    // Conditional request: an unchanged feed answers 304 without sending the document
+    let fetched;
+    try {
+      fetched = await fetchSavedFeed(feed, { limit: argv.limit, conditional: !argv.refresh });
+    } catch (error) {
+      console.error(`   ❌ ${error.message}`);
+      results.push({ feed: feed.name, episode: '—', status: 'feed error' });
+      continue;
+    }
+    if (fetched.notModified) {
+      console.log('   Not modified since last sync.');
+      continue;
+    }
+    const { show, episodes } = fetched;
+
+    // Validators are only kept once nothing is left to do for this version of
+    // the feed — otherwise a 304 next time would hide listed or failed episodes
+    const fresh = episodes.filter(ep => ep.url && matchesSubscription(ep, rules) && !findBySourceUrl(DATA_DIR, ep.url));
+    const rememberValidators = () => {
+      if (!argv.dryRun) saveFeed(DATA_DIR, feed.name, { etag: fetched.etag, last_modified: fetched.lastModified });
+    };
+    if (fresh.length === 0) {
+      console.log('   No new episodes.');
+      rememberValidators();
+      continue;
+    }
+
+    let pending = 0;
+    for (const ep of fresh) {
+      if (!rules.autoTranscribe || argv.dryRun) {
+        console.log(`   • ${ep.date || '—'}  ${ep.name}  ${ep.url}`);
+        results.push({ feed: feed.name, episode: ep.name, status: 'new' });
+        pending++;
+        continue;
+      }
+
+      console.log(`\n▶️  ${ep.name}`);
+      const published = argv.publisherTranscript ? pickPublisherTranscript(ep) : null;
+      const runClients = published
+        ? (publisherClients = publisherClients || initClients({ provider: 'publisher', command: 'sync' }))
+        : (clients = clients || initClients({ command: 'sync' }));
+      try {
+        await runTranscription(runClients, ep.url, {
+          provider: runClients.transcriber.name,
+          diarize: true,
+          speakerHint: rules.speakers || feed.speakers || '',
+          format: argv.format,
+          outputDir: argv.outputDir || feed.output_dir,
+          title: ep.name,
+          channel: show.name,
+          feed: feed.name,
+          description: ep.description,
+          summarize: argv.summarize,
+          maxCost: argv.maxCost,
+          durationSeconds: ep.duration ? ep.duration * 60 : null,
+          keepAudio: argv.keepAudio,
+          ...(published ? { publisherTranscript: published, transcription: published.language ? { languageCode: published.language } : {} } : {}),
+        });
+        results.push({ feed: feed.name, episode: ep.name, status: published ? 'imported' : 'transcribed' });
+      } catch (error) {
+        console.error(`   ❌ ${error.message}`);
+        const status = error.message.includes('--max-cost') ? 'over budget' : 'failed';
+        results.push({ feed: feed.name, episode: ep.name, status });
+        pending++;
+      }
+    }
+    if (pending === 0) rememberValidators();
+  }
+
+  if (results.length === 0) {
+    console.log('\n✅ Everything up to date.');
+    return;
+  }
+
+  console.log('\n─── Sync Summary ───\n');
+  for (const r of results) {
+    console.log(`${r.status.padEnd(12)} ${r.feed.slice(0, 18).padEnd(20)} ${r.episode.slice(0, 60)}`);
+  }
+}
+
+/**
+ * Watch a folder and transcribe each new recording once it has finished
+ * being written. Handled files are moved to processed/ (or failed/) inside
+ * the folder, or with --after mark left in place and listed in .transcribed.
+ * Failed runs keep their job (pointing at the file's new place in failed/),
+ * so they can be continued with resume.
+ */
+async function handleWatch(argv) {
+  const dir = resolve(argv.dir);
+  if (!existsSync(dir) || !statSync(dir).isDirectory()) {
+    console.error(`Error: ${dir} is not a folder`);
     process.exit(1);
   }
 
+  const clients = initClients({ provider: argv.provider, command: 'watch' });
+  const markFile = join(dir, '.transcribed');
+  const marked = new Set(existsSync(markFile) ? readFileSync(markFile, 'utf-8').split('\n').filter(Boolean) : []);
+
+  // Returns where the file ended up
+  const finish = (filePath, ok) => {
+    const name = basename(filePath);
+    if (argv.after === 'mark') {
+      appendFileSync(markFile, `${name}\n`, 'utf-8');
+      marked.add(name);
+      return filePath;
+    }
+
+    // Move out of the watched folder
+    const targetDir = join(dir, ok ? 'processed' : 'failed');
+    mkdirSync(targetDir, { recursive: true });
+    const target = nextFreePath(join(targetDir, name));
+    renameSync(filePath, target);
+    console.log(`   Moved to: ${target}`);
+    return target;
+  };
+
+  const onFile = async filePath => {
+    console.log(`\n▶️  ${basename(filePath)}`);
+
+    // The recorder may drop the same file again (re-sync, renamed copy)
+    const fileHash = await hashFile(filePath);
+    const existing = findByFileHash(DATA_DIR, fileHash);
+    if (existing) {
+      console.log(`   ⏩ Already transcribed as "${existing.title}" — skipping`);
+      finish(filePath, true);
+      return;
+    }
+
+    clients.usage.transcriptId = null;
+    clients.usage.channel = null;
+    try {
+      await runTranscription(clients, filePath, {
+        provider: clients.transcriber.name,
+        diarize: true,
+        speakerHint: argv.speakers || '',
+        format: argv.format,
+        outputDir: argv.outputDir,
+        channel: argv.channel,
+        summarize: argv.summarize,
+        fileHash,
+      });
+      finish(filePath, true);
+    } catch (error) {
+      console.error(`   ❌ ${error.message}`);
+      const target = finish(filePath, false);
+      if (error.jobId) {
+        updateJob(DATA_DIR, error.jobId, { input: target });
+        console.log(`   Continue with: resume ${error.jobId}`);
+      }
+    }
+  };
+
+  console.log(`\n👀 Watching ${dir} (every ${argv.interval}s, ${clients.transcriber.label})`);
+  await watchFolder(dir, {
+    onFile,
+    ignore: filePath => marked.has(basename(filePath)),
+    interval: argv.interval * 1000,
+    once: argv.once,
+  });
+
+  if (argv.once) {
+    console.log('\n✅ Done!');
+  } else {
+    console.log('   Waiting for new recordings — Ctrl+C to stop');
+  }
+}
+
+/**
+ * Resume an interrupted transcription job from its last completed stage.
+ * Without a job ID, resumes the most recently updated incomplete job;
+ * --list shows incomplete jobs instead.
+ */
+async function handleResume(argv) {
+  if (argv.list) {
+    const jobs = listJobs(DATA_DIR, { incomplete: true, limit: argv.limit });
+    if (jobs.length === 0) {
+      console.log('No incomplete jobs.');
+      return;
+    }
+
+    const header = `${'Job'.padEnd(10)} ${'Stage'.padEnd(12)} ${'Updated'.padEnd(12)} ${'Input'.padEnd(50)} Error`;
+    console.log(header);
+    console.log('─'.repeat(header.length));
+    for (const job of jobs) {
+      const updated = job.updated_at.split('T')[0].padEnd(12);
+      const input = job.input.slice(-48).padEnd(50);
+      console.log(`${job.id.padEnd(10)} ${job.stage.padEnd(12)} ${updated} ${input} ${job.error || ''}`);
+    }
+    console.log(`\n${jobs.length} incomplete job(s). Use: resume <job-id>`);
+    return;
+  }
+
+  let job;
+  if (argv.jobId) {
+    job = getJob(DATA_DIR, argv.jobId);
+    if (!job) {
+      console.error(`No job found with ID "${argv.jobId}". Use: resume --list`);
+      process.exit(1);
+    }
+  } else {
+    [job] = listJobs(DATA_DIR, { incomplete: true, limit: 1 });
+    if (!job) {
+      console.log('No incomplete jobs to resume.');
+      return;
+    }
+  }
+
+  if (job.stage === 'saved') {
+    console.log(`Job ${job.id} already completed (transcript ${job.transcript_id}).`);
+    return;
+  }
+
+  console.log(`\n🔁 Resuming job ${job.id} (last completed stage: ${job.stage})`);
+  console.log(`   Input: ${job.input}`);
+  if (job.error) console.log(`   Last error: ${job.error}`);
+
+  const clients = initClients({ provider: job.options.provider, command: 'resume' });
+  await runTranscription(clients, job.input, job.options, job);
+
+  console.log('\n✅ Done!');
+}
+
+/**
+ * Manage the speaker registry: list (default), merge, edit, rm.
+ * Speakers are added automatically whenever identification names someone.
+ */
+async function handleSpeakers(argv) {
+  const [sub = 'list', ...args] = argv.action ? [argv.action, ...(argv.args || [])] : [];
+
+  if (sub === 'list') {
+    const speakers = listSpeakers(DATA_DIR, { channel: argv.channel, limit: argv.limit });
+    if (speakers.length === 0) {
+      console.log('No speakers recorded yet — they are added as transcripts are identified.');
+      return;
+    }
+
+    const header = `${'Name'.padEnd(28)} ${'Seen'.padEnd(6)} ${'Channels'.padEnd(40)} Aliases`;
+    console.log(header);
+    console.log('─'.repeat(header.length + 10));
+    for (const sp of speakers) {
+      const channels = sp.channels.map(c => `${c.channel} (${c.count})`).join(', ') || '—';
+      console.log(`${sp.name.slice(0, 26).padEnd(28)} ${String(sp.appearances).padEnd(6)} ${channels.slice(0, 38).padEnd(40)} ${sp.aliases.join(', ') || '—'}`);
+    }
+    console.log(`\n${speakers.length} speaker(s)`);
+    return;
+  }
+
+  if (sub === 'merge') {
+    const [from, into] = args;
+    if (!from || !into) {
+      console.error('Usage: speakers merge <from> <into>');
+      process.exit(1);
+    }
+    const merged = mergeSpeakers(DATA_DIR, from, into);
+    console.log(`Merged "${from}" into "${merged.name}" (aliases: ${merged.aliases.join(', ')})`);
+    return;
+  }
+
+  if (sub === 'edit') {
+    const [name] = args;
+    if (!name || (!argv.name && !argv.alias && !argv.removeAlias && argv.notes === undefined)) {
+      console.error('Usage: speakers edit <name> [--name new-name] [--alias a..] [--remove-alias a..] [--notes text]');
+      process.exit(1);
+    }
+    const updated = updateSpeaker(DATA_DIR, name, {
+      name: argv.name,
+      addAliases: argv.alias || [],
+      removeAliases: argv.removeAlias || [],
+      notes: argv.notes,
+    });
+    if (!updated) {
+      console.error(`Speaker "${name}" not found.`);
+      process.exit(1);
+    }
+    console.log(`Updated "${updated.name}"${updated.aliases.length ? ` (aliases: ${updated.aliases.join(', ')})` : ''}`);
+    return;
+  }
+
+  if (sub === 'rm') {
+    const [name] = args;
+    if (!name) {
+      console.error('Usage: speakers rm <name>');
+      process.exit(1);
+    }
+    if (!deleteSpeaker(DATA_DIR, name)) {
+      console.error(`Speaker "${name}" not found.`);
+      process.exit(1);
+    }
+    console.log(`Removed speaker "${name}".`);
+    return;
+  }
+
+  console.error(`Unknown speakers action "${sub}" (use list, merge, edit, rm)`);
+  process.exit(1);
+}
+
+/**
+ * Manage glossary entries (list, add, rm) and report corrections per transcript.
+ * Entries are scoped to a channel or saved feed name, or "global".
+ */
+async function handleGlossary(argv) {
+  const [sub = 'list', ...args] = argv.action ? [argv.action, ...(argv.args || [])] : [];
+
+  if (sub === 'list') {
+    const entries = listGlossary(DATA_DIR, args[0] ? { scopes: [args[0]] } : {});
+    if (entries.length === 0) {
+      console.log('No glossary entries. Use: glossary add <channel-or-feed> <mis-hearing> <correct>');
+      return;
+    }
+    const header = `${'Scope'.padEnd(24)} ${'Heard as'.padEnd(28)} Correct`;
+    console.log(header);
+    console.log('─'.repeat(header.length + 12));
+    for (const e of entries) {
+      console.log(`${e.scope.slice(0, 22).padEnd(24)} ${e.term.slice(0, 26).padEnd(28)} ${e.replacement}`);
+    }
+    console.log(`\n${entries.length} entr${entries.length === 1 ? 'y' : 'ies'}`);
+    return;
+  }
+
+  if (sub === 'add') {
+    const [scope, term, replacement] = args;
+    if (!scope || !term || !replacement) {
+      console.error(`Usage: glossary add <channel-or-feed|${GLOBAL_GLOSSARY_SCOPE}> <mis-hearing> <correct>`);
+      process.exit(1);
+    }
+    setGlossaryEntry(DATA_DIR, scope, term, replacement);
+    console.log(`Added to "${scope}" glossary: ${term} → ${replacement}`);
+    return;
+  }
+
+  if (sub === 'rm') {
+    const [scope, term] = args;
+    if (!scope || !term) {
+      console.error('Usage: glossary rm <scope> <mis-hearing>');
+      process.exit(1);
+    }
+    if (!removeGlossaryEntry(DATA_DIR, scope, term)) {
+      console.error(`No "${term}" entry in the "${scope}" glossary.`);
+      process.exit(1);
+    }
+    console.log(`Removed "${term}" from the "${scope}" glossary.`);
+    return;
+  }
+
+  if (sub === 'report') {
+    const rows = listGlossaryReplacements(DATA_DIR, { limit: argv.limit });
+    if (rows.length === 0) {
+      console.log('No glossary replacements recorded yet.');
+      return;
+    }
+    const header = `${'Fixes'.padEnd(7)} ${'Channel'.padEnd(22)} Title`;
+    console.log(header);
+    console.log('─'.repeat(80));
+    for (const row of rows) {
+      console.log(`${String(row.glossary_replacements).padEnd(7)} ${(row.channel || '—').slice(0, 20).padEnd(22)} ${(row.title || '—').slice(0, 50)}`);
+    }
+    return;
+  }
+
+  console.error(`Unknown glossary action "${sub}" (use list, add, rm, report)`);
+  process.exit(1);
+}
+
+/**
+ * Report recorded API spend from the cost ledger, grouped by month, channel,
+ * command, model or transcript.
+ */
+async function handleCosts(argv) {
+  const rows = getCostSummary(DATA_DIR, { groupBy: argv.by, since: argv.since, channel: argv.channel });
+
+  if (rows.length === 0) {
+    console.log('No costs recorded yet.');
+    return;
+  }
+
+  const label = argv.by.charAt(0).toUpperCase() + argv.by.slice(1);
+  const header = `${label.padEnd(40)} ${'Calls'.padEnd(7)} ${'Audio h'.padEnd(9)} ${'Tokens'.padEnd(11)} Cost`;
+  console.log(header);
+  console.log('─'.repeat(header.length));
+
+  const totals = { calls: 0, audio: 0, tokens: 0, cost: 0, unpriced: 0 };
+  for (const row of rows) {
+    const grp = String(row.grp).slice(0, 38).padEnd(40);
+    const calls = String(row.calls).padEnd(7);
+    const audio = (row.audio_seconds ? (row.audio_seconds / 3600).toFixed(2) : '—').padEnd(9);
+    const tokens = (row.tokens ? String(row.tokens) : '—').padEnd(11);
+    const unpriced = row.unpriced ? ` (+${row.unpriced} unpriced)` : '';
+    console.log(`${grp} ${calls} ${audio} ${tokens} $${row.cost.toFixed(4)}${unpriced}`);
+
+    totals.calls += row.calls;
+    totals.audio += row.audio_seconds;
+    totals.tokens += row.tokens;
+    totals.cost += row.cost;
+    totals.unpriced += row.unpriced;
+  }
+
+  console.log('─'.repeat(header.length));
+  const unpriced = totals.unpriced ? ` (+${totals.unpriced} unpriced)` : '';
+  console.log(`${'Total'.padEnd(40)} ${String(totals.calls).padEnd(7)} ${(totals.audio / 3600).toFixed(2).padEnd(9)} ${String(totals.tokens).padEnd(11)} $${totals.cost.toFixed(4)}${unpriced}`);
+}
+
+/**
+ * Re-identify speakers on an existing transcript without re-transcribing.
+ * Fetches utterances from the transcript's provider (free), re-runs OpenAI speaker ID
+ * + paragraphs, then overwrites the vault file and updates the database.
+ */
+async function handleReidentify(argv) {
   // Step 1: Find transcript in database
   const record = findTranscript(DATA_DIR, argv.query);
   if (!record) {
@@ -571,6 +2101,15 @@ async function handleReidentify(argv) {
     process.exit(1);
   }
 
+  const { transcriber, openai, usage } = initClients({ provider: record.provider || DEFAULT_PROVIDER, command: 'reidentify' });
+  usage.transcriptId = record.id;
+  usage.channel = record.channel;
+
+  if (!openai) {
+    console.error('Error: OPENAI_API_KEY required for speaker re-identification');
+    process.exit(1);
+  }
+
   console.log(`\n📋 Found transcript:`);
   console.log(`   Title:    ${record.title}`);
   console.log(`   ID:       ${record.id}`);
@@ -582,22 +2121,29 @@ async function handleReidentify(argv) {
     return;
   }
 
-  // Step 2: Fetch utterances from AssemblyAI (free — no re-transcription)
-  console.log('\n📥 Fetching transcript from AssemblyAI (free)...');
-  const transcript = await assemblyai.getTranscript(record.id);
+  // Step 2: Fetch utterances from the provider (free — no re-transcription)
+  console.log(`\n📥 Fetching transcript from ${transcriber.label} (free)...`);
+  const transcript = await transcriber.getTranscript(record.id);
 
   const speakers = [...new Set(transcript.utterances.map(u => u.speaker))];
   console.log(`   ${speakers.length} speaker(s): ${speakers.join(', ')}`);
   console.log(`   ${transcript.utterances.length} utterance(s)`);
 
-  // Split long utterances
-  transcript.utterances = await chunkLongUtterances(assemblyai, transcript.utterances, record.id);
+  // Split long utterances, restore the original timeline if only a segment
+  // was transcribed, then apply the channel's and feed's glossary
+  transcript.utterances = await chunkLongUtterances(transcriber, transcript.utterances, record.id);
+  const storedOptions = record.transcription_options ? JSON.parse(record.transcription_options) : {};
+  transcript.utterances = shiftUtterances(transcript.utterances, storedOptions.preprocessing?.offsetMs);
+  const glossary = applyScopedGlossary(transcript, [record.channel, storedOptions.feed]);
+  transcript.utterances = glossary.utterances;
+  transcript.text = glossary.text;
 
   // Step 3: Re-identify speakers via OpenAI
-  const context = buildSpeakerContext({ title: record.title, channel: record.channel, description: record.description }, argv.speakers);
+  const context = buildSpeakerContext({ title: record.title, channel: record.channel, description: record.description, speakerNames: transcript.speakerNames, transcriptId: record.id }, argv.speakers);
 
   const {
     utterances: mappedUtterances,
+    labeled: labeledUtterances,
     speakers: speakerMapping,
     reasoning: speakerReasoning,
   } = await identifyAndFormat(openai, transcript.utterances, { diarize: true, context });
@@ -609,12 +2155,15 @@ async function handleReidentify(argv) {
   const metadata = {
     audioDuration: transcript.audioDuration,
     transcriptId: transcript.id,
+    provider: record.provider,
     speakerReasoning,
     speakers: speakerNames,
     ...(record.source_url ? { sourceUrl: record.source_url, sourceTitle: record.title } : {}),
+    ...(record.summary ? { summary: JSON.parse(record.summary) } : {}),
   };
 
-  const content = formatMarkdown(record.title, mappedUtterances, transcript.text, metadata);
+  const format = record.format || 'markdown';
+  const { content } = renderTranscript(format, record.title, mappedUtterances, transcript.text, metadata);
 
   if (record.file_path) {
     const outputPath = resolve(VAULT_ROOT, record.file_path);
@@ -639,12 +2188,471 @@ async function handleReidentify(argv) {
     created_at: record.created_at,
     raw_metadata: record.raw_metadata,
     content: content,
+    format,
+    full_text: transcript.text,
+    provider: transcriber.name,
+    summary: record.summary,
+    transcription_options: record.transcription_options,
+    glossary_replacements: glossary.replacements,
+    audio_path: record.audio_path,
+    file_hash: record.file_hash,
+    original_filename: record.original_filename,
   });
+  saveUtterances(DATA_DIR, record.id, labeledUtterances, speakerMapping);
+  recordSpeakers(DATA_DIR, record.id, record.channel, speakerMapping);
 
   printConsoleOutput(mappedUtterances, transcript.text);
   console.log('\n✅ Speaker re-identification complete!');
 }
 
+/**
+ * Load a stored transcript's utterances with their original labels, plus
+ * the label → name mapping, for commands that edit speakers without an LLM.
+ * Exits if the transcript predates utterance storage.
+ * @returns {{ labeled: Array, mapping: Array<{label: string, name: string}> }}
+ */
+function loadStoredSpeakers(record) {
+  const stored = getUtterances(DATA_DIR, record.id);
+  if (stored.length === 0) {
+    console.error(`\n❌ "${record.title}" has no stored utterances (saved before structured storage).`);
+    console.error('   Run reidentify on it once to backfill them from the transcription provider.');
+    process.exit(1);
+  }
+
+  const labeled = stored.map(u => ({ speaker: u.label, text: u.text, start: u.start, end: u.end }));
+  const mapping = [];
+  for (const u of stored) {
+    if (!mapping.some(m => m.label === u.label)) {
+      mapping.push({ label: u.label, name: u.speaker });
+    }
+  }
+  return { labeled, mapping };
+}
+
+/**
+ * Find the mapping entries a user-given speaker refers to — by diarization
+ * label ("B" or "Speaker B") or by current name, case-insensitive.
+ * @returns {Array} Matching mapping entries (empty if none)
+ */
+function matchSpeaker(mapping, speaker) {
+  const needle = speaker.toLowerCase();
+  const label = needle.replace(/^speaker\s+/, '');
+  const byLabel = mapping.filter(m => m.label && m.label.toLowerCase() === label);
+  return byLabel.length > 0 ? byLabel : mapping.filter(m => m.name && m.name.toLowerCase() === needle);
+}
+
+/**
+ * "A (Nick), B (Sarah), C" — labels with their names, for error messages
+ */
+function describeSpeakerMapping(mapping) {
+  return mapping.map(m => (m.name === m.label ? m.label : `${m.label} (${m.name})`)).join(', ');
+}
+
+/**
+ * Re-render a stored transcript after its speakers changed and save it
+ * everywhere it lives: the vault file (if any), the transcripts row, the
+ * utterances table and the speaker registry.
+ */
+function saveEditedSpeakers(record, labeled, mapping) {
+  const mapped = mapSpeakerNames(labeled, mapping);
+  const speakerNames = mapping.map(m => m.name);
+  const metadata = {
+    audioDuration: record.duration_seconds,
+    transcriptId: record.id,
+    provider: record.provider,
+    speakers: speakerNames,
+    ...(record.source_url ? { sourceUrl: record.source_url, sourceTitle: record.title } : {}),
+    ...(record.summary ? { summary: JSON.parse(record.summary) } : {}),
+  };
+  const { content } = renderTranscript(record.format || 'markdown', record.title, mapped, record.full_text, metadata);
+
+  if (record.file_path) {
+    const outputPath = resolve(VAULT_ROOT, record.file_path);
+    writeFileSync(outputPath, content, 'utf-8');
+    console.log(`   Updated: ${outputPath}`);
+  } else {
+    console.log('   No file path recorded — DB updated only.');
+  }
+
+  saveTranscript(DATA_DIR, { ...record, speakers: JSON.stringify(speakerNames), content });
+  saveUtterances(DATA_DIR, record.id, labeled, mapping);
+  // Manual edits are authoritative, so they always count toward the registry
+  recordSpeakers(DATA_DIR, record.id, record.channel, mapping.map(m => ({ ...m, confidence: 'high' })));
+}
+
+/**
+ * Rename one speaker in a stored transcript — no LLM call, so it's free and
+ * exact where reidentify would guess.
+ */
+async function handleRenameSpeaker(argv) {
+  const record = findTranscript(DATA_DIR, argv.query);
+  if (!record) {
+    console.error(`\n❌ No transcript found matching "${argv.query}"`);
+    console.error('   Try: list command to see available transcripts');
+    process.exit(1);
+  }
+
+  const { labeled, mapping } = loadStoredSpeakers(record);
+  const targets = matchSpeaker(mapping, argv.speaker);
+  if (targets.length === 0) {
+    console.error(`\n❌ No speaker "${argv.speaker}" in "${record.title}"`);
+    console.error(`   Speakers: ${describeSpeakerMapping(mapping)}`);
+    process.exit(1);
+  }
+
+  console.log(`\n📋 ${record.title}`);
+  for (const target of targets) {
+    const count = labeled.filter(u => u.speaker === target.label).length;
+    console.log(`   ${target.label}: ${target.name} → ${argv.newName} (${count} utterance(s))`);
+    target.name = argv.newName;
+  }
+
+  saveEditedSpeakers(record, labeled, mapping);
+  console.log('\n✅ Speaker renamed.');
+}
+
+/**
+ * Merge two diarization labels in a stored transcript: every utterance of
+ * <merge> is relabeled as <keep> and takes its name.
+ */
+async function handleMergeSpeakers(argv) {
+  const record = findTranscript(DATA_DIR, argv.query);
+  if (!record) {
+    console.error(`\n❌ No transcript found matching "${argv.query}"`);
+    console.error('   Try: list command to see available transcripts');
+    process.exit(1);
+  }
+
+  const { labeled, mapping } = loadStoredSpeakers(record);
+  const [keep] = matchSpeaker(mapping, argv.keep);
+  const merged = matchSpeaker(mapping, argv.merge).filter(m => m !== keep);
+  if (!keep || merged.length === 0) {
+    console.error(`\n❌ Need two different speakers in "${record.title}" — got "${argv.keep}" and "${argv.merge}"`);
+    console.error(`   Speakers: ${describeSpeakerMapping(mapping)}`);
+    process.exit(1);
+  }
+
+  console.log(`\n📋 ${record.title}`);
+  const mergedLabels = new Set(merged.map(m => m.label));
+  let count = 0;
+  const relabeled = labeled.map(u => {
+    if (!mergedLabels.has(u.speaker)) return u;
+    count++;
+    return { ...u, speaker: keep.label };
+  });
+  console.log(`   ${merged.map(m => m.label).join(', ')} → ${keep.label} (${keep.name}): ${count} utterance(s)`);
+
+  saveEditedSpeakers(record, relabeled, mapping.filter(m => !mergedLabels.has(m.label)));
+  console.log('\n✅ Speakers merged.');
+}
+
+/**
+ * Render a stored transcript in any output format from its saved utterances
+ * @param {Object} record - Transcript record from the database
+ * @param {string} format - Output format
+ * @returns {{ content: string, ext: string }|null} Null if nothing was stored to render from
+ */
+function renderStored(record, format) {
+  const utterances = getUtterances(DATA_DIR, record.id);
+  if (utterances.length === 0 && !record.full_text) return null;
+
+  const metadata = {
+    audioDuration: record.duration_seconds,
+    transcriptId: record.id,
+    provider: record.provider,
+    speakers: record.speakers ? JSON.parse(record.speakers) : [],
+    ...(record.source_url ? { sourceUrl: record.source_url, sourceTitle: record.title } : {}),
+    ...(record.summary ? { summary: JSON.parse(record.summary) } : {}),
+  };
+  return renderTranscript(format, record.title, utterances, record.full_text, metadata);
+}
+
+/**
+ * Re-render a stored transcript in any output format from its saved utterances.
+ * No API calls — everything comes from the database.
+ */
+async function handleExport(argv) {
+  const record = findTranscript(DATA_DIR, argv.query);
+  if (!record) {
+    console.error(`\n❌ No transcript found matching "${argv.query}"`);
+    console.error('   Try: list command to see available transcripts');
+    process.exit(1);
+  }
+
+  const rendered = renderStored(record, argv.format);
+  if (!rendered) {
+    console.error(`\n❌ "${record.title}" has no stored utterances (saved before structured storage).`);
+    console.error('   Run reidentify on it once to backfill them from the transcription provider.');
+    process.exit(1);
+  }
+  const { content } = rendered;
+
+  if (!argv.output) {
+    process.stdout.write(content.endsWith('\n') ? content : `${content}\n`);
+    return;
+  }
+
+  const outputPath = resolve(VAULT_ROOT, argv.output);
+  mkdirSync(dirname(outputPath), { recursive: true });
+  writeFileSync(outputPath, content, 'utf-8');
+  console.log(`Exported "${record.title}" as ${argv.format} → ${outputPath}`);
+}
+
+/**
+ * Generate summaries + chapters for transcripts already in the database.
+ * Works from stored utterances (no re-transcription), then re-renders the
+ * stored content in its original format and updates the vault file if any.
+ * With --all, backfills every transcript that has no summary yet.
+ */
+async function handleSummarize(argv) {
+  let records;
+  let skipped = 0;
+  if (argv.all) {
+    records = listUnsummarized(DATA_DIR, { limit: argv.limit });
+    skipped = countUnsummarizable(DATA_DIR);
+  } else if (argv.query) {
+    const record = findTranscript(DATA_DIR, argv.query);
+    if (!record) {
+      console.error(`\n❌ No transcript found matching "${argv.query}"`);
+      console.error('   Try: list command to see available transcripts');
+      process.exit(1);
+    }
+    records = [record];
+  } else {
+    console.error('Usage: summarize <query> | summarize --all');
+    process.exit(1);
+  }
+
+  const reportSkipped = () => {
+    if (skipped > 0) {
+      console.log(`⏩ ${skipped} transcript(s) without stored utterances skipped — run reidentify on them once to backfill them`);
+    }
+  };
+
+  if (records.length === 0) {
+    console.log(skipped > 0 ? 'No transcripts with stored utterances are missing a summary.' : 'All transcripts already have summaries.');
+    reportSkipped();
+    return;
+  }
+
+  const { openai, usage } = initClients({ command: 'summarize', transcription: false });
+  if (!openai) {
+    console.error('Error: OPENAI_API_KEY required for summaries');
+    process.exit(1);
+  }
+
+  let done = 0;
+  for (const record of records) {
+    console.log(`\n📋 ${record.title}`);
+
+    const utterances = getUtterances(DATA_DIR, record.id);
+    if (utterances.length === 0) {
+      console.log('   ⏩ No stored utterances — run reidentify on it once to backfill them');
+      continue;
+    }
+
+    usage.transcriptId = record.id;
+    usage.channel = record.channel;
+    const context = buildSpeakerContext({ title: record.title, channel: record.channel, description: record.description, transcriptId: record.id });
+    const summary = await summarizeUtterances(openai, utterances, context);
+    if (!summary) continue;
+
+    const format = record.format || 'markdown';
+    const metadata = {
+      audioDuration: record.duration_seconds,
+      transcriptId: record.id,
+      provider: record.provider,
+      speakers: record.speakers ? JSON.parse(record.speakers) : [],
+      ...(record.source_url ? { sourceUrl: record.source_url, sourceTitle: record.title } : {}),
+      summary,
+    };
+    const { content } = renderTranscript(format, record.title, utterances, record.full_text, metadata);
+
+    if (record.file_path) {
+      const outputPath = resolve(VAULT_ROOT, record.file_path);
+      writeFileSync(outputPath, content, 'utf-8');
+      console.log(`   Updated: ${outputPath}`);
+    }
+
+    saveTranscript(DATA_DIR, { ...record, content, summary: JSON.stringify(summary) });
+    console.log(`   TL;DR: ${summary.tldr}`);
+    done++;
+  }
+
+  console.log(`\n✅ Summarized ${done} of ${records.length} transcript(s)`);
+  reportSkipped();
+}
+
+/**
+ * Serve the transcript library over a local HTTP API (routes in src/server.js).
+ * Submitted jobs run one at a time through the same pipeline as transcribe and
+ * are tracked in the jobs table, so anything left unfinished when the server
+ * stops can be picked up with the resume command.
+ */
+async function handleServe(argv) {
+  const token = process.env.TRANSCRIBE_API_TOKEN || null;
+  const clients = initClients({ provider: argv.provider, command: 'serve' });
+
+  const queue = [];
+  let running = null;
+
+  async function drain() {
+    if (running) return;
+    while (queue.length > 0) {
+      const job = getJob(DATA_DIR, queue.shift());
+      running = job.id;
+      clients.usage.transcriptId = null;
+      clients.usage.channel = null;
+      console.log(`\n▶️  Job ${job.id}: ${job.input}`);
+      try {
+        await runTranscription(clients, job.input, job.options, job);
+        console.log(`\n✅ Job ${job.id} done`);
+      } catch (error) {
+        console.error(`\n❌ Job ${job.id} failed: ${error.message}`);
+      }
+      running = null;
+    }
+  }
+
+  function describeJob(job) {
+    let status = 'incomplete';
+    if (job.stage === 'saved') status = 'done';
+    else if (job.id === running) status = 'running';
+    else if (queue.includes(job.id)) status = 'queued';
+    else if (job.error) status = 'failed';
+
+    return {
+      id: job.id,
+      status,
+      stage: job.stage,
+      input: job.input,
+      transcriptId: job.transcript_id,
+      error: job.error,
+      createdAt: job.created_at,
+      updatedAt: job.updated_at,
+    };
+  }
+
+  function requireTranscript(query) {
+    const record = findTranscript(DATA_DIR, query);
+    if (!record) throw httpError(404, `No transcript found matching "${query}"`);
+    return record;
+  }
+
+  function parseLimit(value, fallback = 20) {
+    if (value == null) return fallback;
+    const limit = Number(value);
+    if (!Number.isInteger(limit) || limit < 1) throw httpError(400, 'limit must be a positive integer');
+    return limit;
+  }
+
+  const server = createApiServer({
+    list: query => listTranscripts(DATA_DIR, {
+      channel: query.channel,
+      speaker: query.speaker,
+      sourceType: query.source_type,
+      limit: parseLimit(query.limit),
+    }),
+
+    get: query => {
+      const record = requireTranscript(query);
+      return {
+        id: record.id,
+        title: record.title,
+        description: record.description,
+        channel: record.channel,
+        channelUrl: record.channel_url,
+        sourceUrl: record.source_url,
+        sourceType: record.source_type,
+        durationSeconds: record.duration_seconds,
+        speakers: record.speakers ? JSON.parse(record.speakers) : [],
+        summary: record.summary ? JSON.parse(record.summary) : null,
+        transcriptionOptions: record.transcription_options ? JSON.parse(record.transcription_options) : null,
+        provider: record.provider,
+        format: record.format,
+        filePath: record.file_path,
+        audioPath: record.audio_path,
+        originalFilename: record.original_filename,
+        createdAt: record.created_at,
+      };
+    },
+
+    content: (query, format) => {
+      if (!VALID_OUTPUT_FORMATS.includes(format)) {
+        throw httpError(400, `Invalid format "${format}" (use ${VALID_OUTPUT_FORMATS.join(', ')})`);
+      }
+      const record = requireTranscript(query);
+      const rendered = renderStored(record, format);
+      if (!rendered) throw httpError(404, `"${record.title}" has no stored utterances — run reidentify on it once`);
+      return { content: rendered.content, format };
+    },
+
+    search: query => {
+      if (!query.q) throw httpError(400, 'Missing search terms (?q=...)');
+      const highlight = ['<mark>', '</mark>'];
+      const rows = searchTranscripts(DATA_DIR, query.q, { limit: parseLimit(query.limit), highlight });
+      return rows.map(({ content, ...row }) => ({
+        ...row,
+        timestampMs: locateSearchHit({ ...row, content }, highlight, query.q.split(/\s+/)[0]),
+      }));
+    },
+
+    submit: body => {
+      const { url, format = 'markdown', speakers = '', title, summarize = false, diarize = true, force = false } = body;
+      if (typeof url !== 'string' || !isUrl(url)) throw httpError(400, 'Body must include a media "url"');
+      for (const [field, value] of Object.entries({ title, speakers })) {
+        if (value != null && typeof value !== 'string') throw httpError(400, `"${field}" must be a string`);
+      }
+      if (!VALID_OUTPUT_FORMATS.includes(format)) {
+        throw httpError(400, `Invalid format "${format}" (use ${VALID_OUTPUT_FORMATS.join(', ')})`);
+      }
+      if (!diarize && (format === 'srt' || format === 'vtt')) {
+        throw httpError(400, `format ${format} needs utterance timestamps — remove diarize: false`);
+      }
+      if (!force) {
+        const existing = findBySourceUrl(DATA_DIR, url);
+        if (existing) throw httpError(409, `Already transcribed as "${existing.title}" (${existing.id}) — send force: true to redo`);
+      }
+
+      const job = createJob(DATA_DIR, {
+        input: url,
+        options: {
+          provider: clients.transcriber.name,
+          diarize: Boolean(diarize),
+          speakerHint: speakers,
+          format,
+          title,
+          summarize: Boolean(summarize),
+        },
+      });
+      queue.push(job.id);
+      drain();
+      return describeJob(job);
+    },
+
+    jobs: query => listJobs(DATA_DIR, { incomplete: query.incomplete === 'true', limit: parseLimit(query.limit) }).map(describeJob),
+
+    job: id => {
+      const job = getJob(DATA_DIR, id);
+      if (!job) throw httpError(404, `No job found with ID "${id}"`);
+      return describeJob(job);
+    },
+  }, { token });
+
+  server.on('error', error => {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  });
+  server.listen(argv.port, argv.host, () => {
+    console.log(`\n🌐 Serving on http://${argv.host}:${argv.port} (transcription: ${clients.transcriber.label})`);
+    if (token) {
+      console.log('   Requests need "Authorization: Bearer $TRANSCRIBE_API_TOKEN"');
+    } else if (!['127.0.0.1', 'localhost', '::1'].includes(argv.host)) {
+      console.warn('   ⚠️  Listening beyond localhost without TRANSCRIBE_API_TOKEN — anyone on the network can submit paid jobs');
+    }
+  });
+}
+
 // ============================================================================
 // Main
 // ============================================================================
@@ -653,10 +2661,22 @@ async function main() {
   const handlers = {
     transcribe: handleTranscribe,
     reidentify: handleReidentify,
+    renameSpeaker: handleRenameSpeaker,
+    mergeSpeakers: handleMergeSpeakers,
+    export: handleExport,
+    summarize: handleSummarize,
     list: handleList,
+    search: handleSearch,
     podcast: handlePodcast,
     episodes: handleEpisodes,
     feed: handleFeed,
+    sync: handleSync,
+    watch: handleWatch,
+    resume: handleResume,
+    costs: handleCosts,
+    speakers: handleSpeakers,
+    glossary: handleGlossary,
+    serve: handleServe,
   };
 
   const cli = buildCli(handlers);